@@ -0,0 +1,104 @@
+const prBot = require('./prBot');
+
+module.exports = {
+    validateEnvironment: prBot.validateEnvironment,
+    sleep: prBot.sleep,
+    generateMessageHash: prBot.generateMessageHash,
+    getCIRequirements: prBot.getCIRequirements,
+    loadEventData: prBot.loadEventData,
+    buildRequestUrl: prBot.buildRequestUrl,
+    nodeTransport: prBot.nodeTransport,
+    setHttpTransport: prBot.setHttpTransport,
+    getRetryDelay: prBot.getRetryDelay,
+    httpRequest: prBot.httpRequest,
+    parseLinkHeader: prBot.parseLinkHeader,
+    httpRequestAllPages: prBot.httpRequestAllPages,
+    summariseReviews: prBot.summariseReviews,
+    approvalRules: prBot.approvalRules,
+    codeOwners: prBot.codeOwners,
+    parseYaml: prBot.parseYaml,
+    repoConfig: prBot.repoConfig,
+    getIgnoreReason: prBot.getIgnoreReason,
+    getLabelNames: prBot.getLabelNames,
+    routing: prBot.routing,
+    jira: prBot.jira,
+    priority: prBot.priority,
+    getApprovalOwners: prBot.getApprovalOwners,
+    getReviewSummary: prBot.getReviewSummary,
+    github: prBot.github,
+    slack: prBot.slack,
+    slackUsers: prBot.slackUsers,
+    notifiers: prBot.notifiers,
+    getActiveNotifiers: prBot.getActiveNotifiers,
+    notifyChannels: prBot.notifyChannels,
+    activityLog: prBot.activityLog,
+    stateBackends: prBot.stateBackends,
+    stateManager: prBot.stateManager,
+    createEmptyState: prBot.createEmptyState,
+    mergeTimeline: prBot.mergeTimeline,
+    STATE_SCHEMA_VERSION: prBot.STATE_SCHEMA_VERSION,
+    STATE_MIGRATIONS: prBot.STATE_MIGRATIONS,
+    validateSchema: prBot.validateSchema,
+    LEGACY_APPROVAL_LIST_CHANNEL: prBot.LEGACY_APPROVAL_LIST_CHANNEL,
+    migrateStateDocument: prBot.migrateStateDocument,
+    validateStateDocument: prBot.validateStateDocument,
+    escalation: prBot.escalation,
+    sendEscalationReminders: prBot.sendEscalationReminders,
+    repostApprovalList: prBot.repostApprovalList,
+    postApprovalList: prBot.postApprovalList,
+    postNotifierApprovalList: prBot.postNotifierApprovalList,
+    getBuildState: prBot.getBuildState,
+    getBuildStatus: prBot.getBuildStatus,
+    getPRUrl: prBot.getPRUrl,
+    escapeMrkdwn: prBot.escapeMrkdwn,
+    truncateTitle: prBot.truncateTitle,
+    templates: prBot.templates,
+    getTemplateValues: prBot.getTemplateValues,
+    getListTemplateValues: prBot.getListTemplateValues,
+    formatPRMessage: prBot.formatPRMessage,
+    getPendingReviewers: prBot.getPendingReviewers,
+    formatAge: prBot.formatAge,
+    groupByRepository: prBot.groupByRepository,
+    getJiraKeys: prBot.getJiraKeys,
+    groupApprovalList: prBot.groupApprovalList,
+    describeListedPR: prBot.describeListedPR,
+    summariseApprovalList: prBot.summariseApprovalList,
+    buildApprovalListBlocks: prBot.buildApprovalListBlocks,
+    buildTemplatedListBlocks: prBot.buildTemplatedListBlocks,
+    buildApprovalListCard: prBot.buildApprovalListCard,
+    createPRStateUpdate: prBot.createPRStateUpdate,
+    fetchPRDataAndCreateState: prBot.fetchPRDataAndCreateState,
+    toReadyToMerge: prBot.toReadyToMerge,
+    getMergeBlockers: prBot.getMergeBlockers,
+    describeMergeBlockers: prBot.describeMergeBlockers,
+    checkReadyToMerge: prBot.checkReadyToMerge,
+    handlePROpened: prBot.handlePROpened,
+    getReviewTimeline: prBot.getReviewTimeline,
+    handlePRReview: prBot.handlePRReview,
+    handlePRChangesRequested: prBot.handlePRChangesRequested,
+    handlePRClosed: prBot.handlePRClosed,
+    handleLabelChange: prBot.handleLabelChange,
+    handlePrLabeled: prBot.handlePRLabeled,
+    handlePRUnlabeled: prBot.handlePRUnlabeled,
+    handlePRSynchronize: prBot.handlePRSynchronize,
+    recheckReadyToMerge: prBot.recheckReadyToMerge,
+    handlePREdited: prBot.handlePREdited,
+    handlePRConvertedToDraft: prBot.handlePRConvertedToDraft,
+    handlePRReadyForReview: prBot.handlePRReadyForReview,
+    handlePRReviewRequested: prBot.handlePRReviewRequested,
+    handleStatus: prBot.handleStatus,
+    archiveClosedPR: prBot.archiveClosedPR,
+    reconcilePR: prBot.reconcilePR,
+    reconcileRepository: prBot.reconcileRepository,
+    handleReconcile: prBot.handleReconcile,
+    digest: prBot.digest,
+    postDigest: prBot.postDigest,
+    runDigest: prBot.runDigest,
+    replay: prBot.replay,
+    runReplay: prBot.runReplay,
+    stateCli: prBot.stateCli,
+    runStateCommand: prBot.runStateCommand,
+    run: prBot.run,
+    CONFIG: prBot.CONFIG,
+    ENV: prBot.ENV
+}
\ No newline at end of file
@@ -0,0 +1,5143 @@
+#!/usr/bin/env node
+
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// API bases are full URLs so they can carry a scheme, port and path prefix, e.g. https://github.example.com/api/v3.
+// GITHUB_API_URL and GITHUB_SERVER_URL are set by GitHub Actions, including on GitHub Enterprise Server
+const CONFIG = {
+  SLACK_API_BASE: process.env.SLACK_API_BASE || 'https://slack.com',
+  TEAMS_LOGIN_BASE: process.env.TEAMS_LOGIN_BASE || 'https://login.microsoftonline.com',
+  GITHUB_API_BASE: process.env.GITHUB_API_BASE || process.env.GITHUB_API_URL || 'https://api.github.com',
+  GITHUB_WEB_BASE: process.env.GITHUB_WEB_BASE || process.env.GITHUB_SERVER_URL || 'https://github.com',
+  DATA_REPO_API_BASE: process.env.DATA_REPO_API_BASE || process.env.GITHUB_API_BASE || process.env.GITHUB_API_URL || 'https://api.github.com',
+  HTTPS_PROXY: process.env.HTTPS_PROXY || process.env.https_proxy,
+  NO_PROXY: process.env.NO_PROXY || process.env.no_proxy
+};
+
+const ENV = {
+  requiredApprovals: process.env.REQUIRED_APPROVALS,
+  titleMaxLength: process.env.TITLE_MAX_LENGTH,
+  slackBotToken: process.env.SLACK_BOT_TOKEN,
+  slackChannel: process.env.SLACK_CHANNEL,
+  slackChannelId: process.env.SLACK_CHANNEL_ID,
+  githubToken: process.env.GITHUB_TOKEN,
+  githubEventPath: process.env.GITHUB_EVENT_PATH,
+  githubEventName: process.env.GITHUB_EVENT_NAME,
+  githubRepository: process.env.GITHUB_REPOSITORY,
+  dataRepoToken: process.env.DATA_REPO_TOKEN,
+  dataRepoOwner: process.env.DATA_REPO_OWNER,
+  dataRepoName: process.env.DATA_REPO_NAME,
+  dataStateFilePath: process.env.DATA_STATE_FILE_PATH,
+  dataRepoBranch: process.env.DATA_REPO_BRANCH || 'master',
+  stateBackend: process.env.STATE_BACKEND || 'github',
+  stateWriteDelayMs: Number(process.env.STATE_WRITE_DELAY_MS ?? 2000),
+  skipCICheck: process.env.SKIP_CI_CHECK === 'true',
+  ciRequirements: process.env.CI_REQUIREMENTS,
+  slackUserMap: process.env.SLACK_USER_MAP,
+  escalationThresholds: process.env.ESCALATION_THRESHOLDS,
+  bankHolidaysFile: process.env.BANK_HOLIDAYS_FILE || path.join(__dirname, 'uk-bank-holidays.json'),
+  bankHolidaysDivision: process.env.BANK_HOLIDAYS_DIVISION || 'england-and-wales',
+  workingHours: process.env.WORKING_HOURS || '09:00-17:30',
+  workingHoursTimeZone: process.env.WORKING_HOURS_TIMEZONE || 'Europe/London',
+  historyRetentionDays: Number(process.env.HISTORY_RETENTION_DAYS || 90),
+  digestPeriodDays: Number(process.env.DIGEST_PERIOD_DAYS || 7),
+  digestCron: process.env.DIGEST_CRON,
+  githubPageSize: Math.min(Number(process.env.GITHUB_PAGE_SIZE || 100), 100),
+  httpMaxRetries: Number(process.env.HTTP_MAX_RETRIES ?? 3),
+  httpRetryBaseMs: Number(process.env.HTTP_RETRY_BASE_MS || 1000),
+  httpMaxRetryDelayMs: Number(process.env.HTTP_MAX_RETRY_DELAY_MS || 60000),
+  useBranchProtection: process.env.USE_BRANCH_PROTECTION === 'true',
+  dismissStaleApprovals: process.env.DISMISS_STALE_APPROVALS === 'true',
+  approvalOwners: process.env.APPROVAL_OWNERS,
+  slackRoutes: process.env.SLACK_ROUTES,
+  notifiers: process.env.NOTIFIERS || 'slack',
+  teamsAppId: process.env.TEAMS_APP_ID,
+  teamsAppPassword: process.env.TEAMS_APP_PASSWORD,
+  teamsTenantId: process.env.TEAMS_TENANT_ID,
+  teamsServiceUrl: process.env.TEAMS_SERVICE_URL || 'https://smba.trafficmanager.net/teams',
+  teamsConversations: process.env.TEAMS_CONVERSATIONS,
+  webhookUrl: process.env.WEBHOOK_URL,
+  webhookSecret: process.env.WEBHOOK_SECRET,
+  activityLog: process.env.ACTIVITY_LOG !== 'false',
+  jiraBaseUrl: process.env.JIRA_BASE_URL,
+  jiraProjectKeys: process.env.JIRA_PROJECT_KEYS,
+  approvalListGroupBy: process.env.APPROVAL_LIST_GROUP_BY || 'repository',
+  priorityLabels: process.env.PRIORITY_LABELS,
+  wipLabels: process.env.WIP_LABELS || 'wip',
+  wipTitlePattern: process.env.WIP_TITLE_PATTERN || '^\\W*wip\\b',
+  messageTemplates: process.env.MESSAGE_TEMPLATES
+};
+
+const DEFAULT_CI_REQUIREMENTS = {
+  contexts: ['continuous-integration/jenkins/pr-head'],
+  checks: []
+};
+
+function validateEnvironment(optional = []) {
+  const required = [
+    'requiredApprovals',
+    'titleMaxLength',
+    'slackChannelId',
+    'githubToken',
+    'githubEventPath',
+    'dataStateFilePath'
+  ];
+
+  // the local file backend only needs DATA_STATE_FILE_PATH, the data repo settings are github backend specific
+  if (ENV.stateBackend === 'github') {
+    required.push('dataRepoToken', 'dataRepoOwner', 'dataRepoName');
+  }
+
+  let activeNotifiers = [];
+
+  try {
+    activeNotifiers = getActiveNotifiers();
+  } catch (error) {
+    console.error(`Invalid NOTIFIERS: ${error.message}`);
+    process.exit(1);
+  }
+
+  activeNotifiers.forEach(notifier => required.push(...notifier.requiredEnvironment));
+
+  const missing = required.filter(key => !ENV[key] && !optional.includes(key));
+  
+  if (missing.length > 0) {
+    console.error(`Missing required env variables: ${missing.join(', ')}`);
+    process.exit(1);
+  }
+
+  if (!stateBackends[ENV.stateBackend]) {
+    console.error(`Unknown STATE_BACKEND: ${ENV.stateBackend}, expected one of: ${Object.keys(stateBackends).join(', ')}`);
+    process.exit(1);
+  }
+
+  try {
+    parseCIRequirements();
+  } catch (error) {
+    console.error(`Invalid CI_REQUIREMENTS: ${error.message}`);
+    process.exit(1);
+  }
+
+  try {
+    parseApprovalOwners();
+  } catch (error) {
+    console.error(`Invalid APPROVAL_OWNERS: ${error.message}`);
+    process.exit(1);
+  }
+
+  try {
+    if (activeNotifiers.includes(notifiers.teams)) {
+      notifiers.teams.getConversations();
+    }
+  } catch (error) {
+    console.error(`Invalid TEAMS_CONVERSATIONS: ${error.message}`);
+    process.exit(1);
+  }
+
+  try {
+    routing.getRules();
+  } catch (error) {
+    console.error(`Invalid SLACK_ROUTES: ${error.message}`);
+    process.exit(1);
+  }
+
+  try {
+    slackUsers.getUserMap();
+  } catch (error) {
+    console.error(`Invalid SLACK_USER_MAP: ${error.message}`);
+    process.exit(1);
+  }
+
+  try {
+    jira.getPattern();
+  } catch (error) {
+    console.error(`Invalid JIRA_PROJECT_KEYS: ${error.message}`);
+    process.exit(1);
+  }
+
+  try {
+    priority.getLabels();
+  } catch (error) {
+    console.error(`Invalid PRIORITY_LABELS: ${error.message}`);
+    process.exit(1);
+  }
+
+  try {
+    priority.getWipPattern();
+  } catch (error) {
+    console.error(`Invalid WIP_TITLE_PATTERN: ${error.message}`);
+    process.exit(1);
+  }
+
+  try {
+    templates.getConfig();
+  } catch (error) {
+    console.error(`Invalid MESSAGE_TEMPLATES: ${error.message}`);
+    process.exit(1);
+  }
+
+  if (!APPROVAL_LIST_GROUPINGS.includes(ENV.approvalListGroupBy)) {
+    console.error(`Invalid APPROVAL_LIST_GROUP_BY: expected one of ${APPROVAL_LIST_GROUPINGS.join(', ')}, got ${ENV.approvalListGroupBy}`);
+    process.exit(1);
+  }
+
+  try {
+    escalation.getThresholds();
+  } catch (error) {
+    console.error(`Invalid ESCALATION_THRESHOLDS: ${error.message}`);
+    process.exit(1);
+  }
+
+  try {
+    escalation.getWorkingHours();
+  } catch (error) {
+    console.error(`Invalid WORKING_HOURS or WORKING_HOURS_TIMEZONE: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function generateMessageHash(message) {
+  return crypto.createHash('sha256').update(message).digest('hex');
+}
+
+let cachedCIRequirements = null;
+
+// CI_REQUIREMENTS is a JSON object keyed by repo full name, with an optional "default" entry, e.g.
+// {"default":{"contexts":["continuous-integration/jenkins/pr-head"]},"hmcts/repo":{"contexts":[],"checks":["build"]}}
+function parseCIRequirements() {
+  if (cachedCIRequirements) {
+    return cachedCIRequirements;
+  }
+
+  const parsed = ENV.ciRequirements ? JSON.parse(ENV.ciRequirements) : {};
+
+  if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+    throw new Error('expected a JSON object keyed by repository');
+  }
+
+  Object.entries(parsed).forEach(([repo, entry]) => {
+    ['contexts', 'checks'].forEach(key => {
+      if (entry[key] !== undefined && !Array.isArray(entry[key])) {
+        throw new Error(`${repo}.${key} must be an array of names`);
+      }
+    });
+  });
+
+  cachedCIRequirements = parsed;
+  return cachedCIRequirements;
+}
+
+function getCIRequirements(repo) {
+  const requirements = parseCIRequirements();
+  return {
+    ...DEFAULT_CI_REQUIREMENTS,
+    ...requirements.default,
+    ...requirements[repo]
+  };
+}
+
+let cachedApprovalOwners = null;
+
+function parseApprovalOwners() {
+  if (cachedApprovalOwners) {
+    return cachedApprovalOwners;
+  }
+
+  const parsed = ENV.approvalOwners ? JSON.parse(ENV.approvalOwners) : {};
+
+  if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+    throw new Error('expected a JSON object keyed by repository');
+  }
+
+  Object.entries(parsed).forEach(([repo, entry]) => {
+    if (entry.codeowners !== undefined && typeof entry.codeowners !== 'boolean') {
+      throw new Error(`${repo}.codeowners must be true or false`);
+    }
+    if (entry.teams !== undefined && (!Array.isArray(entry.teams) || entry.teams.some(team => !/^@?[^/\s]+\/[^/\s]+$/.test(team)))) {
+      throw new Error(`${repo}.teams must be an array of org/team names`);
+    }
+  });
+
+  cachedApprovalOwners = parsed;
+  return cachedApprovalOwners;
+}
+
+// whose approvals count for a repository: the code owners of the changed files and/or members of the listed teams
+function getApprovalOwners(repo) {
+  const owners = parseApprovalOwners();
+  return {
+    codeowners: false,
+    teams: [],
+    ...owners.default,
+    ...owners[repo]
+  };
+}
+
+let cachedEventData = null;
+
+function loadEventData() {
+  if (cachedEventData) {
+    return cachedEventData;
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(ENV.githubEventPath, 'utf8'));
+
+    if (ENV.githubEventName === 'schedule' || ENV.githubEventName === 'workflow_dispatch') {
+      // the digest runs from its own cron schedule or a manual dispatch with mode=digest, anything else reconciles
+      const isDigest = data.inputs?.mode === 'digest' || (ENV.digestCron && data.schedule === ENV.digestCron);
+
+      // scheduled payloads carry no repository, fall back to the repo running the workflow
+      cachedEventData = {
+        eventType: isDigest ? 'digest' : 'reconcile',
+        repo: data.repository?.full_name || ENV.githubRepository,
+      };
+    } else if (data.context || data.check_run || data.check_suite) {
+      cachedEventData = loadBuildEventData(data);
+    } else {
+      cachedEventData = {
+        action: data.action,
+        eventType: 'pull_request',
+        prNumber: data.pull_request?.number,
+        prAuthor: data.pull_request?.user?.login,
+        prTitle: data.pull_request?.title,
+        repo: data.repository?.full_name,
+        reviewState: data.review?.state || '',
+        label: data.label?.name,
+        labels: data.pull_request?.labels,
+        baseBranch: data.pull_request?.base?.ref,
+        headBranch: data.pull_request?.head?.ref,
+        headSha: data.pull_request?.head?.sha,
+        draft: data.pull_request?.draft,
+        requestedReviewers: data.pull_request?.requested_reviewers?.map(reviewer => reviewer.login),
+        titleChanged: data.changes?.title !== undefined,
+        baseChanged: data.changes?.base !== undefined,
+        merged: data.pull_request?.merged,
+        reviewer: data.review?.user?.login,
+        reviewSubmittedAt: data.review?.submitted_at,
+        sender: data.sender?.login
+      };
+    }
+
+    return cachedEventData;
+
+  } catch (error) {
+    console.error('Failed to parse GitHub event:', error.message);
+    process.exit(1);
+  }
+}
+
+function loadBuildEventData(data) {
+  const repo = data.repository?.full_name;
+  const { contexts, checks } = getCIRequirements(repo);
+  let name, sha, state;
+
+  if (data.check_run) {
+    name = data.check_run.name;
+    sha = data.check_run.head_sha;
+    state = data.check_run.conclusion || data.check_run.status;
+  } else if (data.check_suite) {
+    name = data.check_suite.app?.name;
+    sha = data.check_suite.head_sha;
+    state = data.check_suite.conclusion || data.check_suite.status;
+  } else {
+    name = data.context;
+    sha = data.sha;
+    state = data.state;
+  }
+
+  // a suite completing can finish any of the required check runs, so it is relevant whenever checks are required.
+  // with nothing required the combined commit status decides, and any status can change it
+  const isRequired = data.check_suite ? checks.length > 0
+    : data.check_run ? checks.includes(name)
+    : contexts.length === 0 && checks.length === 0 || contexts.includes(name);
+
+  if (!isRequired) {
+    return { eventType: 'ignored', reason: `build context ${name} is not required for ${repo}`, repo };
+  }
+
+  return {
+    eventType: 'status',
+    context: name,
+    state,
+    sha,
+    branches: data.branches,
+    repo,
+  };
+}
+
+// joins an API base URL and a request path, bare hostnames are treated as https for backwards compatibility
+function buildRequestUrl(base, requestPath) {
+  // pagination links are already absolute
+  if (/^https?:\/\//.test(requestPath)) {
+    return new URL(requestPath);
+  }
+
+  const url = new URL(/^https?:\/\//.test(base) ? base : `https://${base}`);
+  const prefix = url.pathname.replace(/\/+$/, '');
+  return new URL(`${url.origin}${prefix}${requestPath}`);
+}
+
+function shouldProxy(url) {
+  if (!CONFIG.HTTPS_PROXY || url.protocol !== 'https:') {
+    return false;
+  }
+
+  const noProxy = (CONFIG.NO_PROXY || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  return !noProxy.some(entry => entry === '*' || url.hostname === entry.replace(/^\./, '') || url.hostname.endsWith(entry.startsWith('.') ? entry : `.${entry}`));
+}
+
+// opens a CONNECT tunnel through the proxy and upgrades it to TLS for the target host
+function connectThroughProxy(url) {
+  return new Promise((resolve, reject) => {
+    const proxy = new URL(CONFIG.HTTPS_PROXY);
+    const target = `${url.hostname}:${url.port || 443}`;
+    const headers = { Host: target };
+
+    if (proxy.username) {
+      headers['Proxy-Authorization'] = `Basic ${Buffer.from(`${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`).toString('base64')}`;
+    }
+
+    const req = (proxy.protocol === 'https:' ? https : http).request({
+      hostname: proxy.hostname,
+      port: proxy.port || (proxy.protocol === 'https:' ? 443 : 80),
+      method: 'CONNECT',
+      path: target,
+      headers
+    });
+
+    req.on('connect', (res, socket) => {
+      if (res.statusCode !== 200) {
+        socket.destroy();
+        reject(new Error(`Proxy CONNECT to ${target} failed with HTTP ${res.statusCode}`));
+        return;
+      }
+      resolve(tls.connect({ socket, servername: url.hostname }));
+    });
+    req.on('error', error => reject(error));
+    req.end();
+  });
+}
+
+// the default transport, anything with the same signature can replace it through setHttpTransport
+async function nodeTransport({ url, method, headers, body }) {
+  const options = {
+    hostname: url.hostname,
+    port: url.port || undefined,
+    path: `${url.pathname}${url.search}`,
+    method,
+    headers
+  };
+
+  if (shouldProxy(url)) {
+    const socket = await connectThroughProxy(url);
+    options.createConnection = () => socket;
+  }
+
+  return new Promise((resolve, reject) => {
+    const req = (url.protocol === 'http:' ? http : https).request(options, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body: data }));
+    });
+
+    req.on('error', error => reject(error));
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+let httpTransport = nodeTransport;
+
+// transport receives { url, method, headers, body } and resolves to { statusCode, headers, body }
+function setHttpTransport(transport) {
+  httpTransport = transport || nodeTransport;
+}
+
+const RETRYABLE_STATUS_CODES = [500, 502, 503, 504];
+// these fail before the request reaches the server, so even a POST can be retried without sending it twice
+const RETRYABLE_CONNECT_ERRORS = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+const RETRYABLE_IDEMPOTENT_ERRORS = ['ECONNRESET', 'ETIMEDOUT', 'EPIPE'];
+
+function isRateLimited(res, result) {
+  const remaining = res.headers?.['x-ratelimit-remaining'];
+  return res.statusCode === 429
+    || result?.error === 'ratelimited'
+    || (res.statusCode === 403 && (remaining === '0' || /rate limit/i.test(result?.message || '')));
+}
+
+// full jitter between half and all of the exponential step, so concurrent runs don't retry in lockstep
+function getBackoffDelay(attempt) {
+  const step = ENV.httpRetryBaseMs * 2 ** attempt;
+  return Math.floor(step / 2 + Math.random() * step / 2);
+}
+
+function getRateLimitWait(res) {
+  const retryAfter = res.headers?.['retry-after'];
+
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    return Number.isNaN(seconds) ? Math.max(0, new Date(retryAfter) - Date.now()) : seconds * 1000;
+  }
+
+  const reset = res.headers?.['x-ratelimit-reset'];
+
+  if (reset !== undefined && res.headers?.['x-ratelimit-remaining'] === '0') {
+    return Math.max(0, Number(reset) * 1000 - Date.now());
+  }
+
+  return null;
+}
+
+// returns how long to wait before retrying, or null when the response should fail straight away
+function getRetryDelay(res, result, attempt, method = 'GET') {
+  if (attempt >= ENV.httpMaxRetries) {
+    return null;
+  }
+
+  if (isRateLimited(res, result)) {
+    const wait = getRateLimitWait(res) ?? getBackoffDelay(attempt);
+    // a reset an hour away isn't worth holding the workflow for
+    return wait <= ENV.httpMaxRetryDelayMs ? wait : null;
+  }
+
+  // a POST that reached the server may have been carried out, so retrying could post the same message twice
+  if (method !== 'POST' && RETRYABLE_STATUS_CODES.includes(res.statusCode)) {
+    return getBackoffDelay(attempt);
+  }
+
+  return null;
+}
+
+function isRetryableNetworkError(error, method) {
+  return RETRYABLE_CONNECT_ERRORS.includes(error.code)
+    || (method !== 'POST' && RETRYABLE_IDEMPOTENT_ERRORS.includes(error.code));
+}
+
+function logRetrySummary(method, url, retries, succeeded) {
+  if (retries.length === 0) {
+    return;
+  }
+
+  const outcome = succeeded ? 'succeeded' : 'failed';
+  const plural = retries.length === 1 ? 'retry' : 'retries';
+  console.log(`${method} ${url.pathname} ${outcome} after ${retries.length} ${plural} (${retries.join(', ')})`);
+}
+
+async function httpRequest(baseUrl, path, method = 'GET', headers = {}, body = null) {
+  const url = buildRequestUrl(baseUrl, path);
+  // string bodies are sent as they are, for form encoded requests and payloads that have been signed
+  const payload = body ? (typeof body === 'string' ? body : JSON.stringify(body)) : null;
+  const retries = [];
+
+  for (let attempt = 0; ; attempt++) {
+    let res;
+
+    try {
+      res = await httpTransport({ url, method, headers, body: payload });
+    } catch (error) {
+      if (attempt >= ENV.httpMaxRetries || !isRetryableNetworkError(error, method)) {
+        logRetrySummary(method, url, retries, false);
+        throw error;
+      }
+
+      const delay = getBackoffDelay(attempt);
+      retries.push(error.code);
+      console.log(`${method} ${url.pathname} failed with ${error.code}, retrying in ${delay}ms (attempt ${attempt + 1} of ${ENV.httpMaxRetries})`);
+      await sleep(delay);
+      continue;
+    }
+
+    let result = null;
+    try {
+      result = res.body ? JSON.parse(res.body || '{}') : {};
+    } catch (error) {
+      // error pages from proxies and load balancers are often HTML, the status code still decides what happens
+      if (res.statusCode < 400) {
+        logRetrySummary(method, url, retries, false);
+        throw new Error(`Failed to parse response JSON: ${error.message}`);
+      }
+    }
+
+    const delay = getRetryDelay(res, result, attempt, method);
+
+    if (delay !== null) {
+      retries.push(`HTTP ${res.statusCode}`);
+      console.log(`${method} ${url.pathname} returned HTTP ${res.statusCode}, retrying in ${delay}ms (attempt ${attempt + 1} of ${ENV.httpMaxRetries})`);
+      await sleep(delay);
+      continue;
+    }
+
+    logRetrySummary(method, url, retries, res.statusCode < 400 && result?.error !== 'ratelimited');
+
+    if (res.statusCode >= 400) {
+      const errorMsg = result?.message || result?.error || 'HTTP error';
+      throw new Error(`HTTP ${res.statusCode}: ${errorMsg}`);
+    }
+
+    result._linkHeader = res.headers?.link;
+    return result;
+  }
+}
+
+function parseLinkHeader(header) {
+  const links = {};
+
+  (header || '').split(',').forEach(part => {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="([^"]+)"/);
+    if (match) {
+      links[match[2]] = match[1];
+    }
+  });
+
+  return links;
+}
+
+// follows rel="next" links until every page has been fetched, itemsKey picks the list out of wrapped responses like check-runs
+async function httpRequestAllPages(baseUrl, path, headers = {}, itemsKey = null, maxPages = 50) {
+  const separator = path.includes('?') ? '&' : '?';
+  let nextPath = `${path}${separator}per_page=${ENV.githubPageSize}`;
+  const items = [];
+
+  for (let page = 0; nextPath && page < maxPages; page++) {
+    const response = await httpRequest(baseUrl, nextPath, 'GET', headers);
+    items.push(...(itemsKey ? response[itemsKey] || [] : response));
+    nextPath = parseLinkHeader(response._linkHeader).next;
+  }
+
+  if (nextPath) {
+    console.log(`Stopped paging ${path} after ${maxPages} pages`);
+  }
+
+  return items;
+}
+
+// only these review states change a reviewer's verdict, a comment left after an approval doesn't withdraw it
+const VERDICT_REVIEW_STATES = ['APPROVED', 'CHANGES_REQUESTED', 'DISMISSED'];
+
+function isBotAccount(user) {
+  return user?.type === 'Bot' || /\[bot\]$/.test(user?.login || '');
+}
+
+// counts reviews the way branch protection does: each reviewer's latest approval, change request or dismissal
+// decides their verdict, the author and bots don't count, and with dismissStale an approval of an older commit
+// no longer counts once new commits are pushed
+function summariseReviews(reviews, { author, headSha, dismissStale = false } = {}) {
+  const latestReviewsMap = new Map();
+
+  reviews
+    .filter(review => VERDICT_REVIEW_STATES.includes(review.state))
+    .filter(review => review.user && review.user.login !== author && !isBotAccount(review.user))
+    .forEach(review => {
+      const userId = review.user.id;
+      const existingReview = latestReviewsMap.get(userId);
+
+      if (!existingReview || new Date(review.submitted_at) > new Date(existingReview.submitted_at)) {
+        latestReviewsMap.set(userId, review);
+      }
+    });
+
+  const latestReviews = Array.from(latestReviewsMap.values());
+  const isCurrent = review => !dismissStale || !headSha || !review.commit_id || review.commit_id === headSha;
+
+  const approvers = latestReviews.filter(review => review.state === 'APPROVED' && isCurrent(review)).map(review => review.user.login);
+  const changesRequestedCount = latestReviews.filter(review => review.state === 'CHANGES_REQUESTED').length;
+
+  return { approvedCount: approvers.length, changesRequestedCount, approvers };
+}
+
+const github = {
+  getHeaders() {
+    return {
+      'Authorization': `Bearer ${ENV.githubToken}`,
+      'Accept': 'application/vnd.github.v3+json',
+      'User-Agent': 'Node.js'
+    };
+  },
+
+  async getReviews(repo, prNumber) {
+    const path = `/repos/${repo}/pulls/${prNumber}/reviews`;
+    return httpRequestAllPages(CONFIG.GITHUB_API_BASE, path, this.getHeaders());
+  },
+
+  // classic branch protection, null when the branch isn't protected. reading it needs admin access to the repo
+  async getBranchProtectionReviews(repo, branch) {
+    const path = `/repos/${repo}/branches/${encodeURIComponent(branch)}/protection/required_pull_request_reviews`;
+
+    try {
+      return await httpRequest(CONFIG.GITHUB_API_BASE, path, 'GET', this.getHeaders());
+    } catch (error) {
+      if (error.message?.startsWith('HTTP 404')) {
+        return null;
+      }
+      throw error;
+    }
+  },
+
+  async getPRFiles(repo, prNumber) {
+    const path = `/repos/${repo}/pulls/${prNumber}/files`;
+    return httpRequestAllPages(CONFIG.GITHUB_API_BASE, path, this.getHeaders());
+  },
+
+  // null when the file doesn't exist on that ref, without a ref the default branch is read
+  async getFileContent(repo, filePath, ref = null) {
+    const path = `/repos/${repo}/contents/${filePath}${ref ? `?ref=${encodeURIComponent(ref)}` : ''}`;
+
+    try {
+      const response = await httpRequest(CONFIG.GITHUB_API_BASE, path, 'GET', this.getHeaders());
+      return Buffer.from(response.content, 'base64').toString();
+    } catch (error) {
+      if (error.message?.startsWith('HTTP 404')) {
+        return null;
+      }
+      throw error;
+    }
+  },
+
+  // needs a token that can read the organisation's teams
+  async getTeamMembers(org, teamSlug) {
+    const path = `/orgs/${org}/teams/${teamSlug}/members`;
+    return httpRequestAllPages(CONFIG.GITHUB_API_BASE, path, this.getHeaders());
+  },
+
+  // rules from every ruleset that applies to the branch, readable with read access
+  async getBranchRules(repo, branch) {
+    const path = `/repos/${repo}/rules/branches/${encodeURIComponent(branch)}`;
+    return httpRequestAllPages(CONFIG.GITHUB_API_BASE, path, this.getHeaders());
+  },
+
+  async getPR(repo, prNumber) {
+    const path = `/repos/${repo}/pulls/${prNumber}`;
+    const pr = await httpRequest(CONFIG.GITHUB_API_BASE, path, 'GET', this.getHeaders());
+    return pr;
+  },
+
+  async getCommitStatus(repo, sha) {
+    const path = `/repos/${repo}/commits/${sha}/status`;
+    const response = await httpRequest(CONFIG.GITHUB_API_BASE, path, 'GET', this.getHeaders());
+    return response;
+  },
+
+  async getCheckRuns(repo, sha) {
+    const path = `/repos/${repo}/commits/${sha}/check-runs`;
+    const checkRuns = await httpRequestAllPages(CONFIG.GITHUB_API_BASE, path, this.getHeaders(), 'check_runs');
+    return checkRuns;
+  },
+
+  async getCommitPRs(repo, sha) {
+    const path = `/repos/${repo}/commits/${sha}/pulls`;
+    const prs = await httpRequestAllPages(CONFIG.GITHUB_API_BASE, path, this.getHeaders());
+    return prs;
+  },
+
+  async getUser(login) {
+    const path = `/users/${encodeURIComponent(login)}`;
+    const user = await httpRequest(CONFIG.GITHUB_API_BASE, path, 'GET', this.getHeaders());
+    return user;
+  },
+
+  async getOpenPRs(repo) {
+    const path = `/repos/${repo}/pulls?state=open`;
+    const prs = await httpRequestAllPages(CONFIG.GITHUB_API_BASE, path, this.getHeaders());
+    return prs;
+  }
+};
+
+const slack = {
+  getHeaders() {
+    return {
+      'Authorization': `Bearer ${ENV.slackBotToken}`,
+      'Content-Type': 'application/json'
+    };
+  },
+
+  // text is always sent, Slack uses it as the notification and accessibility fallback when blocks are present
+  async postMessage(channel, text, blocks = null, threadTs = null) {
+    const body = { channel, text };
+
+    if (blocks) {
+      body.blocks = blocks;
+    }
+
+    if (threadTs) {
+      body.thread_ts = threadTs;
+    }
+
+    const response = await httpRequest(
+      CONFIG.SLACK_API_BASE,
+      '/api/chat.postMessage',
+      'POST',
+      this.getHeaders(),
+      body
+    );
+        
+    if (!response.ok) {
+      throw new Error(`Slack API error: ${response.error}`);
+    }
+    return response.ts;
+  },
+
+  async updateMessage(channel, ts, text, blocks = null) {
+    const response = await httpRequest(
+      CONFIG.SLACK_API_BASE,
+      '/api/chat.update',
+      'POST',
+      this.getHeaders(),
+      blocks ? { channel, ts, text, blocks } : { channel, ts, text }
+    );
+    
+    if (!response.ok) {
+      throw new Error(`Slack API error: ${response.error}`);
+    }
+  },
+
+  async deleteMessage(channel, ts) {
+    const response = await httpRequest(
+      CONFIG.SLACK_API_BASE,
+      '/api/chat.delete',
+      'POST',
+      this.getHeaders(),
+      { channel, ts }
+    );
+
+    if (!response.ok) {
+      throw new Error(`Slack API error: ${response.error}`);
+    }
+  },
+
+  async lookupUserByEmail(email) {
+    const response = await httpRequest(
+      CONFIG.SLACK_API_BASE,
+      `/api/users.lookupByEmail?email=${encodeURIComponent(email)}`,
+      'GET',
+      this.getHeaders()
+    );
+
+    if (!response.ok) {
+      if (response.error === 'users_not_found') {
+        return null;
+      }
+      throw new Error(`Slack API error: ${response.error}`);
+    }
+    return response.user?.id || null;
+  }
+};
+
+// maps GitHub logins to Slack user IDs, from SLACK_USER_MAP first and then by the GitHub profile's public email
+const slackUsers = {
+  cache: new Map(),
+  userMap: null,
+
+  getUserMap() {
+    if (this.userMap) {
+      return this.userMap;
+    }
+
+    const parsed = ENV.slackUserMap ? JSON.parse(ENV.slackUserMap) : {};
+
+    if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+      throw new Error('expected a JSON object of GitHub login to Slack user ID');
+    }
+
+    this.userMap = parsed;
+    return this.userMap;
+  },
+
+  async resolve(login) {
+    if (!login) {
+      return null;
+    }
+
+    if (this.cache.has(login)) {
+      return this.cache.get(login);
+    }
+
+    let userId = this.getUserMap()[login] || null;
+
+    // bot accounts such as dependabot[bot] have no Slack user
+    if (!userId && !login.endsWith('[bot]')) {
+      try {
+        const user = await github.getUser(login);
+        if (user.email) {
+          userId = await slack.lookupUserByEmail(user.email);
+        }
+      } catch (error) {
+        console.log(`Unable to resolve Slack user for ${login}: ${error.message}`);
+      }
+    }
+
+    this.cache.set(login, userId);
+    return userId;
+  },
+
+  async mention(login) {
+    const userId = await this.resolve(login);
+    return userId ? `<@${userId}>` : login;
+  },
+
+  async mentionAll(logins) {
+    const mentions = {};
+    for (const login of new Set(logins)) {
+      mentions[login] = await this.mention(login);
+    }
+    return mentions;
+  }
+};
+
+// where approval lists and other messages are sent. each notifier implements:
+//   getTarget(channel) -> its destination for a routing channel, or null to skip the channel
+//   mentionAll(logins) -> { login: mention }
+//   renderApprovalList(prs, mentions, channel) and renderText(text, data) -> a message in the notifier's own format.
+//     text is Slack mrkdwn, data describes the message for notifiers that send structured payloads
+//   post(target, message, threadId) -> message id, update(target, id, message) and delete(target, id)
+// replacesMessages notifiers delete and repost a changed approval list so it stays the latest message
+const notifiers = {
+  slack: {
+    name: 'slack',
+    requiredEnvironment: ['slackBotToken', 'slackChannel'],
+    replacesMessages: true,
+
+    getTarget(channel) {
+      return channel;
+    },
+
+    mentionAll(logins) {
+      return slackUsers.mentionAll(logins);
+    },
+
+    renderApprovalList(prs, mentions, channel) {
+      const listValues = getListTemplateValues(prs);
+      const header = templates.render(channel, 'header', listValues);
+      const footer = templates.render(channel, 'footer', listValues);
+      const entries = prs.map(pr => templates.render(channel, 'entry', getTemplateValues(pr, mentions))).filter(Boolean);
+      const text = [header, ...entries, footer].filter(Boolean).map(part => `${part}\n\n`).join('');
+
+      // the block kit layout is the default, customised list templates are laid out as they are written
+      const blocks = templates.isCustomised(channel, LIST_TEMPLATES)
+        ? buildTemplatedListBlocks(header, entries, footer)
+        : buildApprovalListBlocks(prs, mentions);
+
+      return { text, blocks };
+    },
+
+    renderText(text) {
+      return { text };
+    },
+
+    post(target, message, threadId = null) {
+      return slack.postMessage(target, message.text, message.blocks || null, threadId);
+    },
+
+    update(target, id, message) {
+      return slack.updateMessage(target, id, message.text, message.blocks || null);
+    },
+
+    delete(target, id) {
+      return slack.deleteMessage(target, id);
+    }
+  },
+
+  // posts adaptive cards through the Bot Framework connector, as an Azure bot installed in the team.
+  // TEAMS_CONVERSATIONS maps routing channels to Teams channel conversation IDs, e.g.
+  // {"default":"19:abc@thread.tacv2","C0123ABCD":"19:def@thread.tacv2"}
+  teams: {
+    name: 'teams',
+    requiredEnvironment: ['teamsAppId', 'teamsAppPassword', 'teamsTenantId', 'teamsConversations'],
+    replacesMessages: true,
+    conversations: null,
+    token: null,
+
+    getConversations() {
+      if (this.conversations) {
+        return this.conversations;
+      }
+
+      const parsed = ENV.teamsConversations ? JSON.parse(ENV.teamsConversations) : {};
+
+      if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed) || Object.values(parsed).some(id => typeof id !== 'string')) {
+        throw new Error('expected a JSON object of conversation IDs keyed by channel');
+      }
+
+      this.conversations = parsed;
+      return this.conversations;
+    },
+
+    getTarget(channel) {
+      const conversations = this.getConversations();
+      return conversations[channel] || conversations.default || null;
+    },
+
+    async getHeaders() {
+      // tokens last an hour, refresh a little early so one doesn't expire mid-run
+      if (!this.token || this.token.expiresAt < Date.now() + 5 * 60 * 1000) {
+        const form = new URLSearchParams({
+          grant_type: 'client_credentials',
+          client_id: ENV.teamsAppId,
+          client_secret: ENV.teamsAppPassword,
+          scope: 'https://api.botframework.com/.default'
+        });
+        const response = await httpRequest(
+          CONFIG.TEAMS_LOGIN_BASE,
+          `/${encodeURIComponent(ENV.teamsTenantId)}/oauth2/v2.0/token`,
+          'POST',
+          { 'Content-Type': 'application/x-www-form-urlencoded' },
+          form.toString()
+        );
+        this.token = { value: response.access_token, expiresAt: Date.now() + response.expires_in * 1000 };
+      }
+
+      return {
+        'Authorization': `Bearer ${this.token.value}`,
+        'Content-Type': 'application/json'
+      };
+    },
+
+    getActivitiesPath(target, id = null) {
+      return `/v3/conversations/${encodeURIComponent(target)}/activities${id ? `/${encodeURIComponent(id)}` : ''}`;
+    },
+
+    // there is no Teams user lookup, so people are shown by their GitHub login
+    async mentionAll(logins) {
+      return Object.fromEntries(logins.map(login => [login, login]));
+    },
+
+    renderApprovalList(prs, mentions) {
+      return {
+        type: 'message',
+        summary: `${prs.length} ${prs.length === 1 ? 'PR' : 'PRs'} awaiting review`,
+        attachments: [{ contentType: 'application/vnd.microsoft.card.adaptive', content: buildApprovalListCard(prs, mentions) }]
+      };
+    },
+
+    renderText(text) {
+      return { type: 'message', textFormat: 'markdown', text: this.toMarkdown(text) };
+    },
+
+    // the subset of Slack mrkdwn the bot writes: <url|text> links, *bold* and escaped &, < and >
+    toMarkdown(text) {
+      return text
+        .replace(/<([^|>]+)\|([^>]+)>/g, '[$2]($1)')
+        .replace(/(^|[\s(])\*([^*\n]+)\*(?=$|[\s).,:])/gm, '$1**$2**')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&')
+        .replace(/\n/g, '\n\n');
+    },
+
+    // replying to an activity in a channel conversation starts or continues its thread
+    async post(target, message, threadId = null) {
+      const response = await httpRequest(ENV.teamsServiceUrl, this.getActivitiesPath(target, threadId), 'POST', await this.getHeaders(), message);
+      return response.id;
+    },
+
+    async update(target, id, message) {
+      await httpRequest(ENV.teamsServiceUrl, this.getActivitiesPath(target, id), 'PUT', await this.getHeaders(), { ...message, id });
+    },
+
+    async delete(target, id) {
+      await httpRequest(ENV.teamsServiceUrl, this.getActivitiesPath(target, id), 'DELETE', await this.getHeaders());
+    }
+  },
+
+  // posts JSON describing each change to WEBHOOK_URL, signed with WEBHOOK_SECRET when it is set.
+  // every routing channel goes to the same URL, the payload says which channel it is for
+  webhook: {
+    name: 'webhook',
+    requiredEnvironment: ['webhookUrl'],
+    replacesMessages: false,
+
+    getTarget(channel) {
+      return channel;
+    },
+
+    async mentionAll(logins) {
+      return Object.fromEntries(logins.map(login => [login, login]));
+    },
+
+    renderApprovalList(prs) {
+      return {
+        type: 'approval_list',
+        pullRequests: prs.map(pr => ({
+          repository: pr.repository,
+          number: pr.number,
+          title: pr.title,
+          author: pr.author,
+          url: pr.url || getPRUrl(pr.repository, pr.number),
+          approvals: pr.approvals,
+          requiredApprovals: getRequiredApprovals(pr),
+          changesRequested: !!pr.changesRequested,
+          missingOwners: pr.missingOwners || [],
+          jiraKeys: getJiraKeys(pr),
+          priority: priority.get(pr).rank,
+          wip: priority.isWip(pr),
+          requestedReviewers: getPendingReviewers(pr),
+          createdAt: pr.createdAt,
+          overdue: !!escalation.getLevel(pr)
+        }))
+      };
+    },
+
+    renderText(text, data = {}) {
+      return { type: 'text', ...data, text };
+    },
+
+    // the receiver's JSON response can carry an id for the message, otherwise the bot makes one up
+    async send(body) {
+      const payload = JSON.stringify(body);
+      const headers = { 'Content-Type': 'application/json' };
+
+      if (ENV.webhookSecret) {
+        headers['X-PR-Bot-Signature'] = `sha256=${crypto.createHmac('sha256', ENV.webhookSecret).update(payload).digest('hex')}`;
+      }
+
+      // an absolute path is used as it is, which keeps any query string on the webhook URL
+      return httpRequest(ENV.webhookUrl, ENV.webhookUrl, 'POST', headers, payload);
+    },
+
+    async post(target, message, threadId = null) {
+      const response = await this.send({ action: 'post', channel: target, threadId, message });
+      return String(response.id || crypto.randomUUID());
+    },
+
+    async update(target, id, message) {
+      await this.send({ action: 'update', channel: target, id, message });
+    },
+
+    async delete(target, id) {
+      await this.send({ action: 'delete', channel: target, id });
+    }
+  }
+};
+
+let cachedNotifiers = null;
+
+// NOTIFIERS is a comma separated list, every approval list and message goes to each of them
+function getActiveNotifiers() {
+  if (cachedNotifiers) {
+    return cachedNotifiers;
+  }
+
+  const names = Array.from(new Set(ENV.notifiers.split(',').map(name => name.trim()).filter(Boolean)));
+  const unknown = names.filter(name => !notifiers[name]);
+
+  if (names.length === 0 || unknown.length > 0) {
+    throw new Error(`expected a comma separated list of ${Object.keys(notifiers).join(', ')}${unknown.length > 0 ? `, got ${unknown.join(', ')}` : ''}`);
+  }
+
+  cachedNotifiers = names.map(name => notifiers[name]);
+  return cachedNotifiers;
+}
+
+// posts a text message to each notifier's destination for the channels, buildText gets the notifier's mentions of logins
+// and the channel, for its templates
+async function notifyChannels(channels, logins, buildText, data = {}) {
+  for (const channel of channels) {
+    for (const notifier of getActiveNotifiers()) {
+      const target = notifier.getTarget(channel);
+
+      if (target) {
+        const mentions = await notifier.mentionAll(logins);
+        await notifier.post(target, notifier.renderText(buildText(mentions, channel), data));
+      }
+    }
+  }
+}
+
+// keeps a thread per PR in each of its channels, with a reply for every review, build change, label change and close.
+// the thread IDs are stored with the PR as threads[channel][notifier] and kept when it moves to history
+const activityLog = {
+  async post(repo, prNumber, text) {
+    if (!ENV.activityLog) {
+      return;
+    }
+
+    try {
+      // only this repository's shard, a line is logged for most events and reading everything each time adds up
+      const repository = await stateManager.readRepository(repo);
+      const pr = repository.pullRequests?.[prNumber] || repository.history?.[prNumber];
+
+      if (!pr?.title) {
+        console.log(`PR #${prNumber} is not tracked, not logging activity`);
+        return;
+      }
+
+      const data = { type: 'activity', pullRequest: routing.getPRKey(repo, prNumber) };
+
+      for (const channel of routing.getChannels(repo, pr)) {
+        for (const notifier of getActiveNotifiers()) {
+          const target = notifier.getTarget(channel);
+
+          if (!target) {
+            continue;
+          }
+
+          let threadId = pr.threads?.[channel]?.[notifier.name];
+
+          if (!threadId) {
+            threadId = await this.startThread(notifier, target, repo, pr);
+            await stateManager.setPRThread(repo, prNumber, channel, notifier.name, threadId);
+          }
+
+          await notifier.post(target, notifier.renderText(text, data), threadId);
+        }
+      }
+    } catch (error) {
+      // the log is an extra, failing to write it mustn't fail the event
+      console.error(`Failed to log activity for ${repo} PR #${prNumber}: ${error.message}`);
+    }
+  },
+
+  async startThread(notifier, target, repo, pr) {
+    const mentions = await notifier.mentionAll([pr.author]);
+    const text = `📋 <${pr.url || getPRUrl(repo, pr.number)}|${repo.split('/')[1]} PR #${pr.number}> by ${mentions[pr.author]}: ${escapeMrkdwn(pr.title)}`;
+    return notifier.post(target, notifier.renderText(text, { type: 'activity_thread', pullRequest: routing.getPRKey(repo, pr.number) }));
+  },
+
+  describeReview(event, approvedCount, requiredApprovals) {
+    const counts = `${approvedCount} of ${requiredApprovals} approvals`;
+
+    switch (event.reviewState) {
+      case 'approved':
+        return `👍 approved by ${event.reviewer} (${counts})`;
+      case 'changes_requested':
+        return `🔧 changes requested by ${event.reviewer} (${counts})`;
+      case 'dismissed':
+        return `🚫 review by ${event.reviewer} dismissed (${counts})`;
+      default:
+        return `💬 reviewed by ${event.reviewer}`;
+    }
+  }
+};
+
+// timeline fields record the first time something happened, except closedAt which tracks the latest close
+function mergeTimeline(existing = {}, events = {}) {
+  return {
+    ...events,
+    ...existing,
+    changesRequestedAt: Array.from(new Set([...(existing.changesRequestedAt || []), ...(events.changesRequestedAt || [])])),
+    closedAt: events.closedAt || existing.closedAt
+  };
+}
+
+// bump alongside a new entry in STATE_MIGRATIONS whenever the shape of a state document changes
+const STATE_SCHEMA_VERSION = 3;
+const STATE_SCHEMA = require('./state-schema.json');
+
+// approvalLists key for a message migrated before its channel was known
+const LEGACY_APPROVAL_LIST_CHANNEL = 'legacy';
+
+function createEmptyState() {
+  return {
+    metadata: {
+      schemaVersion: STATE_SCHEMA_VERSION,
+      approvalLists: {},
+      lastUpdated: new Date().toISOString()
+    },
+    repositories: {}
+  };
+}
+
+function getSchemaType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+// checks value against the subset of JSON Schema used by state-schema.json and returns a list of problems.
+// properties set to undefined are treated as missing, as they would be once the document is serialised
+function validateSchema(schema, value, location = '$', root = schema) {
+  if (schema.$ref) {
+    return validateSchema(root.definitions[schema.$ref.replace('#/definitions/', '')], value, location, root);
+  }
+
+  const type = getSchemaType(value);
+  const allowedTypes = [].concat(schema.type || []);
+
+  if (allowedTypes.length > 0 && !allowedTypes.includes(type) && !(type === 'integer' && allowedTypes.includes('number'))) {
+    return [`${location}: expected ${allowedTypes.join(' or ')}, got ${type}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${location}: expected one of ${schema.enum.join(', ')}, got ${value}`);
+  }
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    errors.push(`${location}: expected at least ${schema.minimum}, got ${value}`);
+  }
+  if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${location}: "${value}" does not match ${schema.pattern}`);
+  }
+
+  if (type === 'object') {
+    (schema.required || [])
+      .filter(key => value[key] === undefined)
+      .forEach(key => errors.push(`${location}: missing ${key}`));
+
+    Object.entries(value)
+      .filter(([, propertyValue]) => propertyValue !== undefined)
+      .forEach(([key, propertyValue]) => {
+        const propertySchema = schema.properties?.[key] ?? schema.additionalProperties;
+
+        if (propertySchema === false) {
+          errors.push(`${location}: unexpected property ${key}`);
+        } else if (propertySchema && propertySchema !== true) {
+          errors.push(...validateSchema(propertySchema, propertyValue, `${location}.${key}`, root));
+        }
+      });
+  }
+
+  if (type === 'array' && schema.items) {
+    value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, `${location}[${index}]`, root)));
+  }
+
+  return errors;
+}
+
+// ordered upgrades for documents written by older versions of the bot, applied on read by migrateStateDocument.
+// documents without a schemaVersion are version 0. append new migrations, never change one that has been released
+const STATE_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'add schemaVersion and fill in PR fields added since the first release',
+    metadata(doc) {
+      doc.approvalListMessageTs = doc.approvalListMessageTs ?? null;
+    },
+    repository(doc) {
+      doc.pullRequests = doc.pullRequests || {};
+      doc.history = doc.history || {};
+
+      const upgradeTimeline = pr => ({
+        ...(pr.createdAt && { openedAt: pr.createdAt }),
+        ...pr.timeline,
+        changesRequestedAt: pr.timeline?.changesRequestedAt || []
+      });
+
+      Object.entries(doc.pullRequests).forEach(([prNumber, pr]) => {
+        pr.number = pr.number ?? Number(prNumber);
+        pr.approvals = pr.approvals ?? 0;
+        pr.buildSuccess = !!pr.buildSuccess;
+        pr.draft = !!pr.draft;
+        pr.requestedReviewers = pr.requestedReviewers || [];
+        pr.timeline = upgradeTimeline(pr);
+      });
+
+      Object.entries(doc.history).forEach(([prNumber, pr]) => {
+        pr.number = pr.number ?? Number(prNumber);
+        pr.timeline = upgradeTimeline(pr);
+        pr.archivedAt = pr.archivedAt || pr.lastUpdated || new Date().toISOString();
+      });
+    }
+  },
+  {
+    version: 2,
+    description: 'keep an approval list message per Slack channel',
+    // the single list message was always posted to SLACK_CHANNEL_ID. offline state commands can run without it, then
+    // the message waits under a placeholder until a run that knows the channel re-homes it
+    metadata(doc) {
+      doc.approvalLists = doc.approvalLists || {};
+
+      if (doc.approvalListMessageTs) {
+        const channel = ENV.slackChannelId || LEGACY_APPROVAL_LIST_CHANNEL;
+        doc.approvalLists[channel] = { ts: doc.approvalListMessageTs, hash: doc.approvalListMessageHash || null };
+      }
+
+      delete doc.approvalListMessageTs;
+      delete doc.approvalListMessageHash;
+    },
+    repository() {}
+  },
+  {
+    version: 3,
+    description: 'keep approval list messages per notifier',
+    metadata(doc) {
+      Object.entries(doc.approvalLists).forEach(([channel, list]) => {
+        if (list.ts) {
+          doc.approvalLists[channel] = { slack: { id: list.ts, hash: list.hash ?? null, ...(list.pullRequests && { pullRequests: list.pullRequests }) } };
+        } else {
+          delete doc.approvalLists[channel];
+        }
+      });
+    },
+    repository() {}
+  }
+];
+
+// kind is 'metadata' or 'repository'. upgrades doc in place and returns the versions it was migrated through
+function migrateStateDocument(kind, doc) {
+  const version = doc.schemaVersion || 0;
+
+  if (version > STATE_SCHEMA_VERSION) {
+    throw new Error(`schema version ${version} is newer than this version of pr-bot supports (${STATE_SCHEMA_VERSION}), upgrade pr-bot`);
+  }
+
+  const pending = STATE_MIGRATIONS.filter(migration => migration.version > version);
+
+  pending.forEach(migration => {
+    migration[kind](doc);
+    doc.schemaVersion = migration.version;
+  });
+
+  return pending.map(migration => migration.version);
+}
+
+function validateStateDocument(kind, doc) {
+  return validateSchema(STATE_SCHEMA.definitions[kind], doc, '$', STATE_SCHEMA);
+}
+
+// backends store JSON documents by path relative to the data root:
+//   read(filePath) -> { doc, sha }, with doc null when the file doesn't exist
+//   write(filePath, doc, sha), which must throw Error('CONFLICT') when the stored version no longer matches sha
+//   list(dirPath) -> file paths directly inside dirPath
+// sha is an opaque version token, null for a file that doesn't exist yet
+const stateBackends = {
+  github: {
+    getHeaders() {
+      return {
+        'Authorization': `Bearer ${ENV.dataRepoToken}`,
+        'Accept': 'application/vnd.github.v3+json',
+        'User-Agent': 'Node.js'
+      };
+    },
+
+    getPath(filePath) {
+      return `/repos/${ENV.dataRepoOwner}/${ENV.dataRepoName}/contents/${filePath}`;
+    },
+
+    async get(filePath) {
+      const ref = encodeURIComponent(ENV.dataRepoBranch);
+
+      try {
+        return await httpRequest(CONFIG.DATA_REPO_API_BASE, `${this.getPath(filePath)}?ref=${ref}`, 'GET', this.getHeaders());
+      } catch (error) {
+        if (error.message?.startsWith('HTTP 404')) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async read(filePath) {
+      const response = await this.get(filePath);
+
+      if (!response?.content) {
+        return { doc: null, sha: null };
+      }
+
+      const content = Buffer.from(response.content, 'base64').toString();
+      return {
+        doc: JSON.parse(content),
+        sha: response.sha
+      };
+    },
+
+    async list(dirPath) {
+      const response = await this.get(dirPath);
+
+      if (!Array.isArray(response)) {
+        return [];
+      }
+      return response.filter(entry => entry.type === 'file').map(entry => entry.path);
+    },
+
+    async write(filePath, doc, sha) {
+      const content = Buffer.from(JSON.stringify(doc, null, 2)).toString('base64');
+      const body = {
+        message: `Update ${filePath} from ${cachedEventData?.repo || ENV.githubRepository || 'pr-bot'}`,
+        content,
+        branch: ENV.dataRepoBranch
+      }
+
+      if (sha) {
+        body.sha = sha;
+      }
+
+      try {
+        const response = await httpRequest(CONFIG.DATA_REPO_API_BASE, this.getPath(filePath), 'PUT', this.getHeaders(), body);
+        // give the contents API time to propagate the new commit before the next read
+        await sleep(ENV.stateWriteDelayMs);
+        return { sha: response.content?.sha };
+      } catch (error) {
+        // 422 means the file was created by someone else since we read it, and we sent no sha
+        if (error.message?.includes('409') || (error.message?.includes('422') && error.message.includes('sha'))) {
+          throw new Error('CONFLICT');
+        }
+        throw error;
+      }
+    }
+  },
+
+  // keeps state in this process only, used by replay and for tests
+  memory: {
+    files: new Map(),
+
+    // seeds the store with a whole state document in the single-file layout, which is then migrated on first read
+    seed(state) {
+      this.files = new Map();
+
+      if (state) {
+        this.files.set(ENV.dataStateFilePath, { doc: JSON.parse(JSON.stringify(state)), version: 1 });
+      }
+    },
+
+    async read(filePath) {
+      const file = this.files.get(filePath);
+
+      if (!file) {
+        return { doc: null, sha: null };
+      }
+
+      return {
+        doc: JSON.parse(JSON.stringify(file.doc)),
+        sha: String(file.version)
+      };
+    },
+
+    async list(dirPath) {
+      return Array.from(this.files.keys())
+        .filter(filePath => path.posix.dirname(filePath) === dirPath);
+    },
+
+    async write(filePath, doc, sha) {
+      const file = this.files.get(filePath);
+      const currentSha = file ? String(file.version) : null;
+
+      if (currentSha !== (sha || null)) {
+        throw new Error('CONFLICT');
+      }
+
+      const version = file ? file.version + 1 : 1;
+      this.files.set(filePath, { doc: JSON.parse(JSON.stringify(doc)), version });
+      return { sha: String(version) };
+    }
+  },
+
+  file: {
+    lockTimeoutMs: 10000,
+    staleLockMs: 30000,
+
+    hashContent(content) {
+      return crypto.createHash('sha1').update(content).digest('hex');
+    },
+
+    async read(filePath) {
+      const fullPath = path.resolve(filePath);
+
+      if (!fs.existsSync(fullPath)) {
+        return { doc: null, sha: null };
+      }
+
+      const content = fs.readFileSync(fullPath, 'utf8');
+      return {
+        doc: JSON.parse(content),
+        sha: this.hashContent(content)
+      };
+    },
+
+    async list(dirPath) {
+      const fullPath = path.resolve(dirPath);
+
+      if (!fs.existsSync(fullPath)) {
+        return [];
+      }
+
+      return fs.readdirSync(fullPath, { withFileTypes: true })
+        .filter(entry => entry.isFile() && entry.name.endsWith('.json'))
+        .map(entry => path.posix.join(dirPath, entry.name));
+    },
+
+    async acquireLock(fullPath) {
+      const lockPath = `${fullPath}.lock`;
+      const startedAt = Date.now();
+
+      while (true) {
+        try {
+          const fd = fs.openSync(lockPath, 'wx');
+          fs.writeSync(fd, String(process.pid));
+          fs.closeSync(fd);
+          return lockPath;
+        } catch (error) {
+          if (error.code !== 'EEXIST') {
+            throw error;
+          }
+
+          // a lock left behind by a crashed run would otherwise block every write
+          try {
+            if (Date.now() - fs.statSync(lockPath).mtimeMs > this.staleLockMs) {
+              console.log(`Removing stale state lock ${lockPath}`);
+              fs.unlinkSync(lockPath);
+              continue;
+            }
+          } catch (statError) {
+            // lock released between open and stat, try again straight away
+            continue;
+          }
+
+          if (Date.now() - startedAt > this.lockTimeoutMs) {
+            throw new Error(`Timed out waiting for state lock ${lockPath}`);
+          }
+
+          await sleep(100);
+        }
+      }
+    },
+
+    releaseLock(lockPath) {
+      try {
+        fs.unlinkSync(lockPath);
+      } catch (error) {
+        // lock already removed
+      }
+    },
+
+    async write(filePath, doc, sha) {
+      const fullPath = path.resolve(filePath);
+      fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+      const lockPath = await this.acquireLock(fullPath);
+
+      try {
+        const currentSha = fs.existsSync(fullPath) ? this.hashContent(fs.readFileSync(fullPath, 'utf8')) : null;
+
+        if (currentSha !== (sha || null)) {
+          throw new Error('CONFLICT');
+        }
+
+        const content = JSON.stringify(doc, null, 2);
+        const tmpPath = `${fullPath}.${process.pid}.tmp`;
+
+        fs.writeFileSync(tmpPath, content);
+        fs.renameSync(tmpPath, fullPath);
+
+        return { sha: this.hashContent(content) };
+      } finally {
+        this.releaseLock(lockPath);
+      }
+    }
+  }
+};
+
+// state is sharded so events from different repositories don't contend for the same file:
+//   <state dir>/metadata.json                      approval list message and other bot-wide fields
+//   <state dir>/repositories/<owner>__<repo>.json  { repository, pullRequests, history } for one repository
+// where <state dir> is DATA_STATE_FILE_PATH without its .json extension
+const stateManager = {
+  backend: null,
+  layoutChecked: false,
+
+  getBackend() {
+    if (this.backend) {
+      return this.backend;
+    }
+
+    const backend = stateBackends[ENV.stateBackend];
+
+    if (!backend) {
+      throw new Error(`Unknown state backend: ${ENV.stateBackend}`);
+    }
+    return backend;
+  },
+
+  // allows callers to plug in their own store, anything implementing read(), write() and list()
+  setBackend(backend) {
+    this.backend = backend;
+    this.layoutChecked = false;
+  },
+
+  getStateDir() {
+    return ENV.dataStateFilePath.replace(/\.json$/, '');
+  },
+
+  getMetadataPath() {
+    return `${this.getStateDir()}/metadata.json`;
+  },
+
+  getRepositoriesDir() {
+    return `${this.getStateDir()}/repositories`;
+  },
+
+  // GitHub owners can't contain underscores, so the double underscore separator is unambiguous
+  getRepositoryPath(repo) {
+    return `${this.getRepositoriesDir()}/${repo.replace('/', '__')}.json`;
+  },
+
+  createRepositoryState(repo) {
+    return { schemaVersion: STATE_SCHEMA_VERSION, repository: repo, pullRequests: {}, history: {} };
+  },
+
+  getDocumentKind(filePath) {
+    return filePath === this.getMetadataPath() ? 'metadata' : 'repository';
+  },
+
+  // every document is upgraded to the current schema and validated on its way in, so handlers never see a
+  // malformed file. upgraded documents are written back the next time they change
+  async readDocument(filePath) {
+    const { doc, sha } = await this.getBackend().read(filePath);
+
+    if (!doc) {
+      return { doc, sha };
+    }
+
+    const kind = this.getDocumentKind(filePath);
+    migrateStateDocument(kind, doc);
+    this.assertValid(kind, doc, `Invalid state in ${filePath}, run "pr-bot state validate" for details`);
+
+    return { doc, sha };
+  },
+
+  async writeDocument(filePath, doc, sha) {
+    this.assertValid(this.getDocumentKind(filePath), doc, `Refusing to write invalid state to ${filePath}`);
+    return this.getBackend().write(filePath, doc, sha);
+  },
+
+  assertValid(kind, doc, message) {
+    const errors = validateStateDocument(kind, doc);
+
+    if (errors.length > 0) {
+      throw new Error(`${message}: ${errors.slice(0, 5).join('; ')}`);
+    }
+  },
+
+  // finds the PR in the open PRs or in history, so threads started before it was archived are kept
+  async setPRThread(repo, prNumber, channel, notifierName, threadId) {
+    await this.transactRepository(repo, repoState => {
+      const pr = repoState.pullRequests[prNumber] || repoState.history[prNumber];
+
+      if (!pr) {
+        return false;
+      }
+
+      pr.threads = { ...pr.threads, [channel]: { ...pr.threads?.[channel], [notifierName]: threadId } };
+      repoState.lastUpdated = new Date().toISOString();
+    }, 'record PR thread');
+  },
+
+  // one-time split of the old single state file into shards, skipped once the metadata shard exists
+  async ensureLayout() {
+    if (this.layoutChecked) {
+      return;
+    }
+
+    const backend = this.getBackend();
+    const { doc: metadata } = await backend.read(this.getMetadataPath());
+
+    if (!metadata) {
+      const { doc: legacyState } = await backend.read(ENV.dataStateFilePath);
+
+      if (legacyState?.repositories) {
+        await this.migrateLegacyState(legacyState);
+      }
+    }
+
+    this.layoutChecked = true;
+  },
+
+  async migrateLegacyState(legacyState) {
+    console.log(`Migrating ${ENV.dataStateFilePath} to per-repository state files in ${this.getStateDir()}`);
+    const repos = new Set([...Object.keys(legacyState.repositories || {}), ...Object.keys(legacyState.history || {})]);
+
+    // a concurrent run may be migrating too, whichever writes a file first wins and the other keeps its copy
+    const writeOnce = async (filePath, doc) => {
+      migrateStateDocument(this.getDocumentKind(filePath), doc);
+
+      try {
+        await this.writeDocument(filePath, doc, null);
+      } catch (error) {
+        if (error.message !== 'CONFLICT') {
+          throw error;
+        }
+      }
+    };
+
+    for (const repo of repos) {
+      // unversioned, so the documents go through every migration before they're written
+      await writeOnce(this.getRepositoryPath(repo), {
+        repository: repo,
+        pullRequests: legacyState.repositories?.[repo]?.pullRequests || {},
+        history: legacyState.history?.[repo] || {}
+      });
+    }
+
+    // metadata goes last, it marks the migration as done
+    await writeOnce(this.getMetadataPath(), legacyState.metadata || createEmptyState().metadata);
+    console.log(`Migration complete, ${ENV.dataStateFilePath} is no longer used and can be deleted`);
+  },
+
+  // reads every shard and assembles them into { metadata, repositories, history } for read-only use
+  async readState() {
+    try {
+      await this.ensureLayout();
+
+      const backend = this.getBackend();
+      const state = createEmptyState();
+      const { doc: metadata } = await this.readDocument(this.getMetadataPath());
+
+      if (!metadata) {
+        console.log('No state file found');
+      }
+
+      state.metadata = metadata || state.metadata;
+
+      for (const filePath of await backend.list(this.getRepositoriesDir())) {
+        const { doc } = await this.readDocument(filePath);
+
+        if (!doc?.repository) {
+          continue;
+        }
+
+        state.repositories[doc.repository] = { pullRequests: doc.pullRequests || {} };
+
+        if (doc.config) {
+          state.repositories[doc.repository].config = doc.config;
+        }
+
+        if (Object.keys(doc.history || {}).length > 0) {
+          state.history = state.history || {};
+          state.history[doc.repository] = doc.history;
+        }
+      }
+
+      return { state };
+    } catch (error) {
+      throw new Error(`Failed to read state: ${error.message}`);
+    }
+  },
+
+  // reads a single repository's shard, for handlers that don't need the rest of the state
+  async readRepository(repo) {
+    try {
+      await this.ensureLayout();
+      const { doc } = await this.readDocument(this.getRepositoryPath(repo));
+      return doc || this.createRepositoryState(repo);
+    } catch (error) {
+      throw new Error(`Failed to read state for ${repo}: ${error.message}`);
+    }
+  },
+
+  // optimistic concurrency for a single shard: read it, let mutate change it in place, write it back,
+  // and start again from a fresh read if someone else wrote in between. mutate can return false to skip the write
+  async transact(filePath, createDoc, mutate, description, maxRetries = 3) {
+    await this.ensureLayout();
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const { doc, sha } = await this.readDocument(filePath);
+        const current = doc || createDoc();
+
+        if (await mutate(current) === false) {
+          return current;
+        }
+
+        await this.writeDocument(filePath, current, sha);
+        console.log('State written successfully');
+        return current;
+      } catch (error) {
+        if (error.message === 'CONFLICT' && attempt < maxRetries) {
+          console.log(`Retrying ${description} due to conflict (attempt ${attempt + 1})...`);
+          await sleep(1000 * (attempt + 1) + Math.floor(Math.random() * 500));
+          continue;
+        }
+
+        console.error(`Failed to ${description}: ${error.message}`);
+        throw error.message === 'CONFLICT' ? error : new Error(`Failed to write state: ${error.message}`);
+      }
+    }
+  },
+
+  async transactRepository(repo, mutate, description) {
+    return this.transact(this.getRepositoryPath(repo), () => this.createRepositoryState(repo), repoState => {
+      repoState.history = repoState.history || {};
+      return mutate(repoState);
+    }, description);
+  },
+
+  async updatePR(repo, prNumber, updates) {
+    return this.transactRepository(repo, repoState => {
+      const existingPR = repoState.pullRequests[prNumber];
+
+      repoState.pullRequests[prNumber] = {
+        ...existingPR,
+        ...updates,
+        // createPRStateUpdate always stamps a fresh createdAt, keep the original so PR age survives updates
+        createdAt: existingPR?.createdAt || updates.createdAt,
+        timeline: mergeTimeline(existingPR?.timeline, updates.timeline),
+        lastUpdated: new Date().toISOString()
+      };
+      repoState.lastUpdated = new Date().toISOString();
+    }, 'update PR state');
+  },
+
+  async removePR(repo, prNumber) {
+    await this.transactRepository(repo, repoState => {
+      if (!repoState.pullRequests[prNumber]) {
+        return false;
+      }
+
+      delete repoState.pullRequests[prNumber];
+      repoState.lastUpdated = new Date().toISOString();
+    }, 'remove PR state');
+  },
+
+  // moves a PR out of the approval list into history so its timeline is kept for the digest
+  async archivePR(repo, prNumber, updates = {}) {
+    await this.transactRepository(repo, repoState => {
+      const activePR = repoState.pullRequests[prNumber];
+      const archivedPR = repoState.history[prNumber];
+
+      if (!activePR && !archivedPR) {
+        return false;
+      }
+
+      const now = new Date().toISOString();
+      const record = activePR || archivedPR;
+
+      repoState.history[prNumber] = {
+        ...record,
+        ...updates,
+        timeline: mergeTimeline(record.timeline, updates.timeline),
+        archivedAt: now
+      };
+      delete repoState.pullRequests[prNumber];
+
+      this.pruneHistory(repoState);
+      repoState.lastUpdated = now;
+    }, 'archive PR state');
+  },
+
+  pruneHistory(repoState) {
+    const cutoff = Date.now() - ENV.historyRetentionDays * 24 * 60 * 60 * 1000;
+
+    Object.entries(repoState.history).forEach(([prNumber, pr]) => {
+      if (new Date(pr.archivedAt) < cutoff) {
+        delete repoState.history[prNumber];
+      }
+    });
+  },
+
+  // the repository's own pr-bot settings, only written when they change
+  async updateRepositoryConfig(repo, config) {
+    await this.transactRepository(repo, repoState => {
+      if (JSON.stringify(repoState.config || {}) === JSON.stringify(config)) {
+        return false;
+      }
+
+      repoState.config = config;
+      repoState.lastUpdated = new Date().toISOString();
+    }, 'update repository config');
+  },
+
+  async updateMetadata(updates) {
+    await this.transact(this.getMetadataPath(), () => createEmptyState().metadata, metadata => {
+      Object.assign(metadata, updates, { lastUpdated: new Date().toISOString() });
+    }, 'update metadata');
+  },
+
+  // records the approval list message a notifier posted for one channel, null forgets it
+  async updateApprovalList(channel, notifierName, message) {
+    await this.transact(this.getMetadataPath(), () => createEmptyState().metadata, metadata => {
+      const lists = metadata.approvalLists;
+
+      if (message) {
+        lists[channel] = { ...lists[channel], [notifierName]: message };
+      } else if (lists[channel]?.[notifierName]) {
+        delete lists[channel][notifierName];
+
+        if (Object.keys(lists[channel]).length === 0) {
+          delete lists[channel];
+        }
+      } else {
+        return false;
+      }
+      metadata.lastUpdated = new Date().toISOString();
+    }, `update ${notifierName} approval list for ${channel}`);
+  },
+
+  // moves a message migrated without SLACK_CHANNEL_ID to that channel, unless the channel already has its own
+  async rehomeLegacyApprovalList() {
+    await this.transact(this.getMetadataPath(), () => createEmptyState().metadata, metadata => {
+      const lists = metadata.approvalLists;
+      const legacy = lists[LEGACY_APPROVAL_LIST_CHANNEL];
+
+      if (!legacy || !ENV.slackChannelId) {
+        return false;
+      }
+
+      lists[ENV.slackChannelId] = { ...legacy, ...lists[ENV.slackChannelId] };
+      delete lists[LEGACY_APPROVAL_LIST_CHANNEL];
+      metadata.lastUpdated = new Date().toISOString();
+    }, `move the legacy approval list to ${ENV.slackChannelId}`);
+  }
+}
+
+
+// escalation thresholds are measured in working hours, the WORKING_HOURS window of each working day in WORKING_HOURS_TIMEZONE
+const escalation = {
+  thresholds: null,
+  holidays: null,
+  workingHours: null,
+
+  // ESCALATION_THRESHOLDS is a JSON array of working hours, e.g. [{"hours":8,"marker":"⏰"},{"hours":24,"marker":"🚨"}]
+  getThresholds() {
+    if (this.thresholds) {
+      return this.thresholds;
+    }
+
+    const parsed = ENV.escalationThresholds ? JSON.parse(ENV.escalationThresholds) : [];
+
+    if (!Array.isArray(parsed)) {
+      throw new Error('expected a JSON array of { hours, marker }');
+    }
+
+    parsed.forEach((threshold, index) => {
+      if (typeof threshold.hours !== 'number' || threshold.hours <= 0) {
+        throw new Error(`threshold ${index} needs a positive number of hours`);
+      }
+    });
+
+    this.thresholds = parsed
+      .map(threshold => ({ hours: threshold.hours, marker: threshold.marker || '⏰' }))
+      .sort((a, b) => a.hours - b.hours);
+    return this.thresholds;
+  },
+
+  // accepts either a plain array of YYYY-MM-DD dates or the https://www.gov.uk/bank-holidays.json format
+  getHolidays() {
+    if (this.holidays) {
+      return this.holidays;
+    }
+
+    try {
+      const calendar = JSON.parse(fs.readFileSync(ENV.bankHolidaysFile, 'utf8'));
+      const dates = Array.isArray(calendar)
+        ? calendar
+        : (calendar[ENV.bankHolidaysDivision]?.events || []).map(event => event.date);
+      this.holidays = new Set(dates);
+    } catch (error) {
+      console.error(`Failed to load bank holidays from ${ENV.bankHolidaysFile}: ${error.message}`);
+      this.holidays = new Set();
+    }
+    return this.holidays;
+  },
+
+  // WORKING_HOURS is a local HH:MM-HH:MM window, e.g. 09:00-17:30
+  getWorkingHours() {
+    if (this.workingHours) {
+      return this.workingHours;
+    }
+
+    const match = ENV.workingHours.match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+
+    if (!match) {
+      throw new Error(`expected HH:MM-HH:MM, got ${ENV.workingHours}`);
+    }
+
+    const [start, end] = [[match[1], match[2]], [match[3], match[4]]].map(([hours, minutes]) => Number(hours) * 60 + Number(minutes));
+
+    if (start >= end || end > 24 * 60) {
+      throw new Error(`the working day has to end after it starts and by 24:00, got ${ENV.workingHours}`);
+    }
+
+    this.workingHours = {
+      start,
+      end,
+      // throws a RangeError for an unknown time zone
+      format: new Intl.DateTimeFormat('en-GB', {
+        timeZone: ENV.workingHoursTimeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      })
+    };
+    return this.workingHours;
+  },
+
+  // the calendar date and wall clock time of an instant in WORKING_HOURS_TIMEZONE, as if it were UTC
+  toLocal(date) {
+    const parts = Object.fromEntries(this.getWorkingHours().format.formatToParts(date).map(part => [part.type, Number(part.value)]));
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  },
+
+  // the instant a local day starts plus minutes, checked twice so a window next to a clock change lands right
+  fromLocal(day, minutes) {
+    const local = day.getTime() + minutes * 60 * 1000;
+    let instant = local - (this.toLocal(new Date(local)) - local);
+    instant = local - (this.toLocal(new Date(instant)) - instant);
+    return instant;
+  },
+
+  // takes a local calendar day at UTC midnight
+  isWorkingDay(day) {
+    const weekday = day.getUTCDay();
+    return weekday !== 0 && weekday !== 6 && !this.getHolidays().has(day.toISOString().slice(0, 10));
+  },
+
+  getWorkingHoursBetween(start, end) {
+    const { start: dayStart, end: dayEnd } = this.getWorkingHours();
+    const startLocal = new Date(this.toLocal(start));
+    const lastDay = new Date(this.toLocal(end));
+    let total = 0;
+
+    for (
+      let day = new Date(Date.UTC(startLocal.getUTCFullYear(), startLocal.getUTCMonth(), startLocal.getUTCDate()));
+      day <= lastDay;
+      day = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate() + 1))
+    ) {
+      if (this.isWorkingDay(day)) {
+        const windowStart = Math.max(this.fromLocal(day, dayStart), start.getTime());
+        const windowEnd = Math.min(this.fromLocal(day, dayEnd), end.getTime());
+        total += Math.max(0, windowEnd - windowStart);
+      }
+    }
+
+    return total / (60 * 60 * 1000);
+  },
+
+  // returns the highest threshold the PR has passed, or null while it is within all of them
+  getLevel(pr, now = new Date()) {
+    const thresholds = this.getThresholds();
+    const waitingSince = pr.createdAt || pr.lastUpdated;
+
+    if (thresholds.length === 0 || !waitingSince) {
+      return null;
+    }
+
+    const hours = this.getWorkingHoursBetween(new Date(waitingSince), now);
+    const passed = thresholds.filter(threshold => hours >= threshold.hours);
+    const { start, end } = this.getWorkingHours();
+
+    return passed.length > 0
+      ? { ...passed[passed.length - 1], waitingHours: Math.floor(hours), waitingDays: Math.floor(hours * 60 / (end - start)) }
+      : null;
+  },
+
+  getMarker(pr, now = new Date()) {
+    const level = this.getLevel(pr, now);
+    return level ? `${level.marker} ` : '';
+  }
+};
+
+async function sendEscalationReminders() {
+  if (escalation.getThresholds().length === 0) {
+    return;
+  }
+
+  const { state } = await stateManager.readState();
+  const overdue = [];
+
+  repoConfig.remember(state);
+
+  Object.entries(state.repositories).forEach(([repo, data]) => {
+    Object.values(data.pullRequests).forEach(pr => {
+      if (!pr.buildSuccess || pr.draft || pr.stage === 'readyToMerge') {
+        return;
+      }
+
+      const level = escalation.getLevel(pr);
+
+      // only remind once per threshold, earlier reminders are recorded against the PR
+      if (level && !(pr.escalationReminders || []).includes(level.hours)) {
+        overdue.push({ ...pr, repository: repo, level });
+      }
+    });
+  });
+
+  if (overdue.length === 0) {
+    console.log('No overdue PRs to remind about');
+    return;
+  }
+
+  const reminded = new Set();
+
+  // each channel's reminders go in the thread of its own approval list, separately for every notifier
+  for (const [channel, prs] of routing.groupByChannel(overdue)) {
+    for (const notifier of getActiveNotifiers()) {
+      const target = notifier.getTarget(channel);
+      const threadId = state.metadata.approvalLists[channel]?.[notifier.name]?.id;
+
+      if (!target || !threadId) {
+        console.log(`No ${notifier.name} approval list message for ${channel} to thread reminders under, skipping`);
+        continue;
+      }
+
+      const mentions = await notifier.mentionAll(prs.map(pr => pr.author));
+      const lines = prs.map(pr => {
+        const repoName = pr.repository.split('/')[1];
+        const { waitingDays } = pr.level;
+        return `${pr.level.marker} <${pr.url || getPRUrl(pr.repository, pr.number)}|${repoName} PR #${pr.number}> by ${mentions[pr.author]} has been waiting ${waitingDays} working day${waitingDays === 1 ? '' : 's'} (${pr.approvals} of ${getRequiredApprovals(pr)} approvals)`;
+      });
+      const message = notifier.renderText(`These PRs are overdue for review:\n${lines.join('\n')}`, {
+        type: 'reminder',
+        pullRequests: prs.map(pr => routing.getPRKey(pr.repository, pr.number))
+      });
+
+      await notifier.post(target, message, threadId);
+      prs.forEach(pr => reminded.add(pr));
+    }
+  }
+
+  for (const pr of reminded) {
+    await stateManager.updatePR(pr.repository, pr.number, {
+      escalationReminders: [...(pr.escalationReminders || []), pr.level.hours]
+    });
+  }
+}
+
+// changedPRs is a list of { repo, prNumber } touched by the event, only the channels that list them now or listed them
+// before are rebuilt. without it every channel is rebuilt, for reconciliation and admin commands
+async function repostApprovalList(changedPRs = null) {
+  // wait 3-5 seconds for state propagation, random delay to prevent concurrent bot instances from posting simultaneously
+  await sleep(3000 + Math.floor(Math.random() * 2000));
+
+  let { state } = await stateManager.readState();
+  const needsApproval = [];
+
+  if (state.metadata.approvalLists[LEGACY_APPROVAL_LIST_CHANNEL]) {
+    await stateManager.rehomeLegacyApprovalList();
+    ({ state } = await stateManager.readState());
+  }
+
+  repoConfig.remember(state);
+  
+  Object.entries(state.repositories).forEach(([repo, data]) => {
+    Object.values(data.pullRequests).forEach(pr => {
+      needsApproval.push({
+        ...pr,
+        repository: repo
+      });
+    });
+  });
+
+  needsApproval.sort((a, b) => priority.compare(a, b));
+
+  // only include PRs with green builds, drafts stay hidden until they are ready for review and approved PRs have left
+  const listedPRs = needsApproval.filter(pr => pr.buildSuccess && !pr.draft && pr.stage !== 'readyToMerge');
+  const byChannel = routing.groupByChannel(listedPRs);
+  const lists = state.metadata.approvalLists;
+  const channels = new Set(changedPRs
+    ? routing.getAffectedChannels(changedPRs, needsApproval, lists)
+    : [...byChannel.keys(), ...Object.keys(lists)]);
+
+  for (const channel of channels) {
+    await postApprovalList(channel, byChannel.get(channel) || [], lists[channel]);
+  }
+}
+
+// previousLists holds the channel's last approval list message for each notifier. a failing notifier doesn't stop
+// the others, the first error is rethrown once they have all been tried
+async function postApprovalList(channel, listedPRs, previousLists = {}) {
+  const errors = [];
+
+  for (const notifier of getActiveNotifiers()) {
+    const target = notifier.getTarget(channel);
+
+    if (!target) {
+      continue;
+    }
+
+    try {
+      await postNotifierApprovalList(notifier, channel, target, listedPRs, previousLists[notifier.name]);
+    } catch (error) {
+      console.error(`Failed to post the ${notifier.name} approval list for ${channel}: ${error.message}`);
+      errors.push(error);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw errors[0];
+  }
+}
+
+async function postNotifierApprovalList(notifier, channel, target, listedPRs, previous) {
+  const pullRequests = listedPRs.map(pr => routing.getPRKey(pr.repository, pr.number));
+  // people are mentioned when a PR is first listed or its own entry changes, not every time the list is reposted
+  const entries = Object.fromEntries(listedPRs.map((pr, index) => [
+    pullRequests[index],
+    generateMessageHash(JSON.stringify(getTemplateValues({ ...pr, age: '' })))
+  ]));
+  const prs = listedPRs.map((pr, index) => ({ ...pr, announced: previous?.entries?.[pullRequests[index]] === entries[pullRequests[index]] }));
+  const mentions = await notifier.mentionAll(prs.filter(pr => !pr.announced).flatMap(pr => [pr.author, ...getPendingReviewers(pr)]));
+  const message = prs.length > 0 ? notifier.renderApprovalList(prs, mentions, channel) : null;
+  // ages move on every hour and mentions depend on what was posted before, both are left out of the hash so the
+  // list is only reposted when what it says about the PRs changes
+  const messageHash = message
+    ? generateMessageHash(JSON.stringify(notifier.renderApprovalList(prs.map(pr => ({ ...pr, age: '', announced: true })), {}, channel)))
+    : null;
+
+  if (messageHash && previous?.hash === messageHash) {
+    console.log(`${notifier.name} message content unchanged for ${channel}, skipping repost`);
+    return;
+  }
+
+  if (message && previous?.id && !notifier.replacesMessages) {
+    await notifier.update(target, previous.id, message);
+    await stateManager.updateApprovalList(channel, notifier.name, { id: previous.id, hash: messageHash, pullRequests, entries });
+    return;
+  }
+
+  // delete previous approval list message if it exists to maintain single message at head position
+  if (previous?.id) {
+    try {
+      await notifier.delete(target, previous.id);
+      await stateManager.updateApprovalList(channel, notifier.name, null);
+    } catch (error) {
+      // if message doesn't exist, we can ignore the error
+    }
+  }
+
+  if (message) {
+    const id = await notifier.post(target, message);
+    await stateManager.updateApprovalList(channel, notifier.name, { id, hash: messageHash, pullRequests, entries });
+  }
+}
+
+// maps commit statuses and check run conclusions onto success, pending or failure
+function getBuildResult(state) {
+  if (['success', 'neutral', 'skipped'].includes(state)) {
+    return 'success';
+  }
+  return ['failure', 'error', 'cancelled', 'timed_out', 'action_required', 'startup_failure'].includes(state) ? 'failure' : 'pending';
+}
+
+// resolves the build to success, failure or pending, one failed requirement fails the build
+async function getBuildState(repo, sha, labels) {
+  const { labels: labelNames } = await repoConfig.get(repo);
+  const skipBuild = labels?.some(label => label.name === labelNames.skipCI);
+
+  if (skipBuild || ENV.skipCICheck) {
+    return 'success';
+  }
+
+  const { contexts, checks } = getCIRequirements(repo);
+
+  try {
+    // nothing configured for this repo, fall back to the combined commit status
+    if (contexts.length === 0 && checks.length === 0) {
+      const commitStatus = await github.getCommitStatus(repo, sha);
+      console.log(`Commit status for ${repo}@${sha}: `, commitStatus?.state);
+      return getBuildResult(commitStatus?.state);
+    }
+
+    const results = {};
+
+    if (contexts.length > 0) {
+      const commitStatus = await github.getCommitStatus(repo, sha);
+      contexts.forEach(context => {
+        const status = commitStatus?.statuses?.find(s => s.context === context);
+        results[context] = getBuildResult(status?.state);
+      });
+    }
+
+    if (checks.length > 0) {
+      const checkRuns = await github.getCheckRuns(repo, sha);
+      checks.forEach(name => {
+        // a check can be re-run, only the most recent run counts
+        const latestRun = checkRuns
+          .filter(run => run.name === name)
+          .sort((a, b) => new Date(b.started_at) - new Date(a.started_at))[0];
+        results[name] = latestRun?.status === 'completed' ? getBuildResult(latestRun.conclusion) : 'pending';
+      });
+    }
+
+    console.log(`Build status for ${repo}@${sha}: `, results);
+    const values = Object.values(results);
+    if (values.includes('failure')) {
+      return 'failure';
+    }
+    return values.every(value => value === 'success') ? 'success' : 'pending';
+  } catch (error) {
+    console.error(`Failed to get build status: ${error.message}`);
+  }
+
+  return 'pending';
+}
+
+async function getBuildStatus(repo, sha, labels) {
+  return (await getBuildState(repo, sha, labels)) === 'success';
+}
+
+// parses the small subset of YAML used by config files: nested mappings, block and [flow] lists, quoted and plain
+// scalars and comments. anchors, multi-line strings and multiple documents aren't supported
+function parseYaml(content) {
+  const lines = content.split(/\r?\n/)
+    .map((raw, index) => ({ number: index + 1, raw: stripYamlComment(raw) }))
+    .filter(line => line.raw.trim() !== '' && line.raw.trim() !== '---')
+    .map(line => {
+      if (/^\s*\t/.test(line.raw)) {
+        throw new Error(`line ${line.number}: tabs can't be used for indentation`);
+      }
+      return { number: line.number, indent: line.raw.search(/\S/), text: line.raw.trim() };
+    });
+  let position = 0;
+
+  const isListItem = line => /^-(\s|$)/.test(line.text);
+
+  const parseBlock = indent => (isListItem(lines[position]) ? parseList(indent) : parseMap(indent));
+
+  const parseMap = indent => {
+    const result = {};
+
+    while (position < lines.length && lines[position].indent === indent && !isListItem(lines[position])) {
+      const { text, number } = lines[position];
+      const match = text.match(/^("[^"]*"|'[^']*'|[^\s"'][^:]*?)\s*:(?:\s+(.*))?$/);
+
+      if (!match) {
+        throw new Error(`line ${number}: expected "key: value"`);
+      }
+
+      const key = parseYamlScalar(match[1]);
+      position++;
+
+      if (match[2] !== undefined) {
+        result[key] = parseYamlScalar(match[2], number);
+      } else if (position < lines.length && lines[position].indent > indent) {
+        result[key] = parseBlock(lines[position].indent);
+      } else if (position < lines.length && lines[position].indent === indent && isListItem(lines[position])) {
+        // a list may sit at the same indentation as its key
+        result[key] = parseList(indent);
+      } else {
+        result[key] = null;
+      }
+    }
+
+    return result;
+  };
+
+  const parseList = indent => {
+    const result = [];
+
+    while (position < lines.length && lines[position].indent === indent && isListItem(lines[position])) {
+      const { text, number } = lines[position];
+      const item = text.slice(1).trim();
+
+      if (item === '') {
+        position++;
+        result.push(position < lines.length && lines[position].indent > indent ? parseBlock(lines[position].indent) : null);
+      } else if (/^("[^"]*"|'[^']*'|[^\s"'[{][^:]*?)\s*:(\s|$)/.test(item)) {
+        // "- key: value" starts a mapping indented by the dash
+        const itemIndent = indent + text.indexOf(item);
+        lines[position] = { number, indent: itemIndent, text: item };
+        result.push(parseMap(itemIndent));
+      } else {
+        position++;
+        result.push(parseYamlScalar(item, number));
+      }
+    }
+
+    return result;
+  };
+
+  if (lines.length === 0) {
+    return {};
+  }
+
+  const result = parseBlock(lines[0].indent);
+
+  if (position < lines.length) {
+    throw new Error(`line ${lines[position].number}: unexpected indentation`);
+  }
+  return result;
+}
+
+// removes a # comment, leaving # inside quotes alone
+function stripYamlComment(line) {
+  let quote = null;
+
+  for (let i = 0; i < line.length; i++) {
+    if (quote) {
+      quote = line[i] === quote ? null : quote;
+    } else if (line[i] === '"' || line[i] === "'") {
+      quote = line[i];
+    } else if (line[i] === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+// splits on the commas outside quotes, so items like "a, b" stay whole
+function splitYamlFlowList(text) {
+  const items = [];
+  let item = '';
+  let quote = null;
+
+  for (const char of text) {
+    if (quote) {
+      quote = char === quote ? null : quote;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === ',') {
+      items.push(item);
+      item = '';
+      continue;
+    }
+    item += char;
+  }
+
+  return [...items, item];
+}
+
+function parseYamlScalar(value, lineNumber) {
+  const text = value.trim();
+
+  if (text.startsWith('[')) {
+    if (!text.endsWith(']')) {
+      throw new Error(`line ${lineNumber}: unterminated list`);
+    }
+    const inner = text.slice(1, -1).trim();
+    return inner === '' ? [] : splitYamlFlowList(inner).map(item => parseYamlScalar(item, lineNumber));
+  }
+  if (/^"(.*)"$/.test(text)) {
+    return JSON.parse(text);
+  }
+  if (/^'(.*)'$/.test(text)) {
+    return text.slice(1, -1).replace(/''/g, "'");
+  }
+  if (text === 'true' || text === 'false') {
+    return text === 'true';
+  }
+  if (text === 'null' || text === '~' || text === '') {
+    return null;
+  }
+  if (/^-?\d+(\.\d+)?$/.test(text)) {
+    return Number(text);
+  }
+  return text;
+}
+
+// settings a repository can override for itself in .github/pr-bot.yml (or .yaml/.json) on its default branch.
+// the overrides are kept in the repository's state so the shared approval list can use them without reading every repo
+const repoConfig = {
+  files: ['.github/pr-bot.yml', '.github/pr-bot.yaml', '.github/pr-bot.json'],
+  overrides: new Map(),
+
+  getDefaults() {
+    return {
+      requiredApprovals: Number(ENV.requiredApprovals),
+      titleMaxLength: Number(ENV.titleMaxLength),
+      slackChannelId: ENV.slackChannelId,
+      labels: { ignore: 'prbot-ignore', skipCI: 'prbot-skip-ci' },
+      excludedAuthors: []
+    };
+  },
+
+  merge(overrides = {}) {
+    const defaults = this.getDefaults();
+    return { ...defaults, ...overrides, labels: { ...defaults.labels, ...overrides.labels } };
+  },
+
+  parse(filePath, content) {
+    try {
+      return filePath.endsWith('.json') ? JSON.parse(content) : parseYaml(content);
+    } catch (error) {
+      throw new Error(`${filePath} could not be parsed: ${error.message}`);
+    }
+  },
+
+  validate(overrides) {
+    if (typeof overrides !== 'object' || overrides === null || Array.isArray(overrides)) {
+      return ['expected a mapping of settings'];
+    }
+    return validateSchema(STATE_SCHEMA.definitions.repositoryConfig, overrides, 'config', STATE_SCHEMA);
+  },
+
+  // null when the repository has no config file, throws when it can't be read or is invalid
+  async load(repo) {
+    for (const filePath of this.files) {
+      const content = await github.getFileContent(repo, filePath);
+
+      if (content === null) {
+        continue;
+      }
+
+      const overrides = this.parse(filePath, content) || {};
+      const errors = this.validate(overrides);
+
+      if (errors.length > 0) {
+        throw new Error(`${filePath} is invalid:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+      }
+
+      console.log(`Using ${filePath} from ${repo}`);
+      return overrides;
+    }
+
+    return null;
+  },
+
+  // reads the repository's config file and stores it with the repository's state when it has changed.
+  // a broken file is reported and the last good settings stay in use until it's fixed
+  async refresh(repo) {
+    try {
+      const overrides = await this.load(repo) || {};
+      this.overrides.set(repo, overrides);
+      await stateManager.updateRepositoryConfig(repo, overrides);
+    } catch (error) {
+      console.error(`Ignoring pr-bot config for ${repo}, ${error.message}`);
+    }
+  },
+
+  // picks up the stored settings of repositories whose config hasn't been read in this run
+  remember(state) {
+    Object.entries(state.repositories).forEach(([repo, data]) => {
+      if (!this.overrides.has(repo) && data.config) {
+        this.overrides.set(repo, data.config);
+      }
+    });
+  },
+
+  async get(repo) {
+    if (!this.overrides.has(repo)) {
+      const { state } = await stateManager.readState();
+      this.remember(state);
+      this.overrides.set(repo, this.overrides.get(repo) || {});
+    }
+    return this.peek(repo);
+  },
+
+  // synchronous, for formatting code that runs after the settings were loaded with get() or remember()
+  peek(repo) {
+    return this.merge(this.overrides.get(repo));
+  },
+
+  isExcludedAuthor(config, login) {
+    return config.excludedAuthors.some(author => author.toLowerCase() === (login || '').toLowerCase());
+  }
+};
+
+// why a PR shouldn't be tracked at all, or null when it should
+async function getIgnoreReason(repo, labels, author) {
+  const config = await repoConfig.get(repo);
+
+  if (labels?.some(label => label.name === config.labels.ignore)) {
+    return `${config.labels.ignore} label is present`;
+  }
+  if (repoConfig.isExcludedAuthor(config, author)) {
+    return `${author} is an excluded author`;
+  }
+  return null;
+}
+
+function getLabelNames(labels) {
+  return (labels || []).map(label => label.name);
+}
+
+// decides which Slack channels list a PR. SLACK_ROUTES is a JSON array of rules, e.g.
+// [{"repos":["hmcts/rpx-*"],"channels":["C0123"]},{"labels":["security"],"baseBranches":["release/*"],"channels":["C0456","C0789"]}]
+// a rule matches when every condition it sets matches, and a PR is listed in the channels of every matching rule.
+// PRs no rule matches go to the repository's slackChannelId
+const routing = {
+  rules: null,
+  conditions: ['repos', 'labels', 'baseBranches'],
+
+  getRules() {
+    if (this.rules) {
+      return this.rules;
+    }
+
+    const parsed = ENV.slackRoutes ? JSON.parse(ENV.slackRoutes) : [];
+
+    if (!Array.isArray(parsed)) {
+      throw new Error('expected a JSON array of { repos, labels, baseBranches, channels }');
+    }
+
+    parsed.forEach((rule, index) => {
+      if (!Array.isArray(rule.channels) || rule.channels.length === 0 || rule.channels.some(channel => typeof channel !== 'string')) {
+        throw new Error(`rule ${index} needs an array of channel IDs`);
+      }
+      this.conditions.forEach(key => {
+        if (rule[key] !== undefined && (!Array.isArray(rule[key]) || rule[key].some(value => typeof value !== 'string'))) {
+          throw new Error(`rule ${index} ${key} must be an array of names`);
+        }
+      });
+    });
+
+    this.rules = parsed;
+    return this.rules;
+  },
+
+  // * matches any run of characters, including /
+  matchesAny(patterns, values) {
+    return patterns.some(pattern => {
+      const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`, 'i');
+      return values.some(value => regex.test(value));
+    });
+  },
+
+  // pr is a tracked PR, or anything with the baseBranch and label names of one
+  getChannels(repo, pr) {
+    const values = { repos: [repo], labels: pr.labels || [], baseBranches: pr.baseBranch ? [pr.baseBranch] : [] };
+    const matching = this.getRules().filter(rule => this.conditions.every(key => !rule[key] || this.matchesAny(rule[key], values[key])));
+
+    if (matching.length === 0) {
+      return [repoConfig.peek(repo).slackChannelId];
+    }
+    return Array.from(new Set(matching.flatMap(rule => rule.channels)));
+  },
+
+  // prs carry their repository, keeps the order of prs within each channel
+  groupByChannel(prs) {
+    const byChannel = new Map();
+
+    prs.forEach(pr => {
+      this.getChannels(pr.repository, pr).forEach(channel => {
+        if (!byChannel.has(channel)) {
+          byChannel.set(channel, []);
+        }
+        byChannel.get(channel).push(pr);
+      });
+    });
+
+    return byChannel;
+  },
+
+  usesLabel(label) {
+    return this.getRules().some(rule => rule.labels && this.matchesAny(rule.labels, [label]));
+  },
+
+  getPRKey(repo, prNumber) {
+    return `${repo}#${prNumber}`;
+  },
+
+  // the channels a PR is routed to now, plus the channels whose last list included it in any notifier. lists
+  // migrated from a single channel don't record their PRs, so they count as including every PR
+  getAffectedChannels(changedPRs, trackedPRs, lists) {
+    const channels = new Set();
+
+    changedPRs.forEach(({ repo, prNumber }) => {
+      const key = this.getPRKey(repo, prNumber);
+      const trackedPR = trackedPRs.find(pr => pr.repository === repo && pr.number === Number(prNumber));
+
+      if (trackedPR) {
+        this.getChannels(repo, trackedPR).forEach(channel => channels.add(channel));
+      }
+      Object.entries(lists)
+        .filter(([, messages]) => Object.values(messages).some(message => !message.pullRequests || message.pullRequests.includes(key)))
+        .forEach(([channel]) => channels.add(channel));
+    });
+
+    return Array.from(channels);
+  }
+};
+
+// JIRA_PROJECT_KEYS is a comma separated list of project keys, e.g. EXUI,EUI. keys for those projects are found in any
+// case, so branch names like feature/exui-3701-fix count. without it any upper case key such as ABC-123 is picked up
+const jira = {
+  pattern: null,
+
+  getPattern() {
+    if (this.pattern) {
+      return this.pattern;
+    }
+
+    const projects = (ENV.jiraProjectKeys || '').split(',').map(key => key.trim()).filter(Boolean);
+    const invalid = projects.filter(key => !/^[A-Za-z][A-Za-z0-9_]*$/.test(key));
+
+    if (invalid.length > 0) {
+      throw new Error(`expected project keys like EXUI, got ${invalid.join(', ')}`);
+    }
+
+    this.pattern = projects.length > 0
+      ? new RegExp(`(?<![A-Za-z0-9])(?:${projects.join('|')})-[0-9]+(?![0-9])`, 'gi')
+      : /(?<![A-Za-z0-9])[A-Z][A-Z0-9_]+-[0-9]+(?![0-9])/g;
+    return this.pattern;
+  },
+
+  // the keys mentioned in any of the texts, upper cased and in order of first mention
+  findKeys(...texts) {
+    const keys = texts.filter(Boolean).flatMap(text => text.match(this.getPattern()) || []);
+    return Array.from(new Set(keys.map(key => key.toUpperCase())));
+  },
+
+  getUrl(key) {
+    return ENV.jiraBaseUrl ? `${ENV.jiraBaseUrl.replace(/\/+$/, '')}/browse/${key}` : null;
+  },
+
+  // link builds a notifier's link syntax, keys stay plain text without JIRA_BASE_URL
+  formatKeys(keys, link = (url, text) => `<${url}|${text}>`) {
+    return keys.map(key => (ENV.jiraBaseUrl ? link(this.getUrl(key), key) : key)).join(', ');
+  }
+};
+
+// PRIORITY_LABELS is a JSON object of labels that move PRs up or down the approval list, e.g.
+// {"hotfix":{"priority":100,"badge":"🔥"},"low-priority":{"priority":-10,"badge":"💤"}}. higher priorities are listed
+// first and unlabelled PRs have priority 0. work in progress, by title or WIP_LABELS, is listed after everything else
+const priority = {
+  labels: null,
+  wipPattern: null,
+  wipBadge: '✏️',
+
+  getLabels() {
+    if (this.labels) {
+      return this.labels;
+    }
+
+    const parsed = ENV.priorityLabels ? JSON.parse(ENV.priorityLabels) : {};
+
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('expected a JSON object of label names to { priority, badge }');
+    }
+
+    Object.entries(parsed).forEach(([label, entry]) => {
+      if (typeof entry?.priority !== 'number') {
+        throw new Error(`${label} needs a numeric priority`);
+      }
+      if (entry.badge !== undefined && typeof entry.badge !== 'string') {
+        throw new Error(`${label} badge must be a string`);
+      }
+    });
+
+    this.labels = new Map(Object.entries(parsed).map(([label, entry]) => [label.toLowerCase(), entry]));
+    return this.labels;
+  },
+
+  getWipPattern() {
+    if (!this.wipPattern) {
+      this.wipPattern = new RegExp(ENV.wipTitlePattern, 'i');
+    }
+    return this.wipPattern;
+  },
+
+  getWipLabels() {
+    return ENV.wipLabels.split(',').map(label => label.trim().toLowerCase()).filter(Boolean);
+  },
+
+  isWip(pr) {
+    const labels = (pr.labels || []).map(label => label.toLowerCase());
+    return this.getWipPattern().test(pr.title || '') || this.getWipLabels().some(label => labels.includes(label));
+  },
+
+  // the PR's highest priority label decides its rank and badge
+  get(pr) {
+    if (this.isWip(pr)) {
+      return { rank: Number.MIN_SAFE_INTEGER, badge: this.wipBadge };
+    }
+
+    const matches = (pr.labels || [])
+      .map(label => this.getLabels().get(label.toLowerCase()))
+      .filter(Boolean)
+      .sort((a, b) => b.priority - a.priority);
+
+    return matches.length > 0 ? { rank: matches[0].priority, badge: matches[0].badge || '' } : { rank: 0, badge: '' };
+  },
+
+  getBadge(pr) {
+    const { badge } = this.get(pr);
+    return badge ? `${badge} ` : '';
+  },
+
+  // highest priority first, the longest waiting first within a priority
+  compare(a, b) {
+    return this.get(b).rank - this.get(a).rank || new Date(a.createdAt) - new Date(b.createdAt);
+  },
+
+  usesLabel(label) {
+    const name = label.toLowerCase();
+    return this.getLabels().has(name) || this.getWipLabels().includes(name);
+  }
+};
+
+// the approvals a PR needs, from the repository's config or, with USE_BRANCH_PROTECTION, from the rules on its base branch
+const approvalRules = {
+  cache: new Map(),
+
+  async getDefaults(repo) {
+    return {
+      requiredApprovals: (await repoConfig.get(repo)).requiredApprovals,
+      requireCodeOwnerReviews: false,
+      dismissStaleReviews: ENV.dismissStaleApprovals
+    };
+  },
+
+  // null when neither classic branch protection nor a ruleset asks for reviews on the branch
+  async fetch(repo, branch) {
+    const rules = [];
+
+    try {
+      const protection = await github.getBranchProtectionReviews(repo, branch);
+
+      if (protection) {
+        rules.push({
+          requiredApprovals: protection.required_approving_review_count || 0,
+          requireCodeOwnerReviews: !!protection.require_code_owner_reviews,
+          dismissStaleReviews: !!protection.dismiss_stale_reviews
+        });
+      }
+    } catch (error) {
+      // without admin access classic protection can't be read, rulesets may still apply
+      console.log(`Could not read branch protection for ${repo}@${branch}: ${error.message}`);
+    }
+
+    try {
+      const branchRules = await github.getBranchRules(repo, branch);
+
+      branchRules
+        .filter(rule => rule.type === 'pull_request')
+        .forEach(({ parameters = {} }) => rules.push({
+          requiredApprovals: parameters.required_approving_review_count || 0,
+          requireCodeOwnerReviews: !!parameters.require_code_owner_review,
+          dismissStaleReviews: !!parameters.dismiss_stale_reviews_on_push
+        }));
+    } catch (error) {
+      console.log(`Could not read rulesets for ${repo}@${branch}: ${error.message}`);
+    }
+
+    // a rule that doesn't require any approvals leaves nothing for the bot to chase
+    const reviewRules = rules.filter(rule => rule.requiredApprovals > 0);
+
+    if (reviewRules.length === 0) {
+      return null;
+    }
+
+    // several rulesets can apply to one branch, GitHub enforces the strictest of each setting
+    return {
+      requiredApprovals: Math.max(...reviewRules.map(rule => rule.requiredApprovals)),
+      requireCodeOwnerReviews: reviewRules.some(rule => rule.requireCodeOwnerReviews),
+      dismissStaleReviews: reviewRules.some(rule => rule.dismissStaleReviews)
+    };
+  },
+
+  async get(repo, branch) {
+    const defaults = await this.getDefaults(repo);
+
+    if (!ENV.useBranchProtection || !branch) {
+      return defaults;
+    }
+
+    const key = `${repo}@${branch}`;
+
+    // cache the promise so PRs on the same branch reconciled in one run share a lookup
+    if (!this.cache.has(key)) {
+      this.cache.set(key, this.fetch(repo, branch));
+    }
+
+    const rules = await this.cache.get(key);
+
+    if (!rules) {
+      console.log(`No review requirements on ${key}, using the configured required approvals`);
+      return defaults;
+    }
+
+    return { ...rules, dismissStaleReviews: rules.dismissStaleReviews || defaults.dismissStaleReviews };
+  }
+};
+
+// owner groups are lists of alternatives, an approval from any one owner in a group satisfies it, like a CODEOWNERS line.
+// owners are @user or @org/team
+const codeOwners = {
+  files: new Map(),
+  teams: new Map(),
+  unreadableTeams: new Set(),
+
+  // GitHub looks for CODEOWNERS in these places, in this order
+  locations: ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'],
+
+  parse(content) {
+    return content.split('\n')
+      .map(line => line.replace(/(^|\s)#.*$/, '').trim())
+      .filter(Boolean)
+      .map(line => {
+        const [pattern, ...owners] = line.split(/\s+/);
+        return { pattern, owners, regex: this.patternToRegExp(pattern) };
+      });
+  },
+
+  // gitignore style patterns, except that a trailing /* only matches files directly in that directory
+  patternToRegExp(pattern) {
+    const anchored = pattern.startsWith('/') || pattern.slice(0, -1).includes('/');
+    const directChildren = pattern.endsWith('/*');
+    const body = pattern.replace(/^\//, '').replace(/\/$/, '');
+    let source = '';
+
+    for (let i = 0; i < body.length; i++) {
+      if (body.startsWith('**/', i)) {
+        source += '(?:.*/)?';
+        i += 2;
+      } else if (body.startsWith('**', i)) {
+        source += '.*';
+        i += 1;
+      } else if (body[i] === '*') {
+        source += '[^/]*';
+      } else if (body[i] === '?') {
+        source += '[^/]';
+      } else {
+        source += body[i].replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+
+    return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}${directChildren ? '' : '(?:/.*)?'}$`);
+  },
+
+  // null when the repository has no CODEOWNERS file on the branch
+  async getRules(repo, branch) {
+    const key = `${repo}@${branch}`;
+
+    if (!this.files.has(key)) {
+      this.files.set(key, (async () => {
+        for (const location of this.locations) {
+          const content = await github.getFileContent(repo, location, branch);
+
+          if (content !== null) {
+            return this.parse(content);
+          }
+        }
+        return null;
+      })());
+    }
+
+    return this.files.get(key);
+  },
+
+  // the last matching rule wins, and a rule without owners leaves the file unowned
+  getOwners(rules, filePath) {
+    const rule = [...rules].reverse().find(candidate => candidate.regex.test(filePath));
+    return rule?.owners || [];
+  },
+
+  // null when the team can't be read, failures aren't cached so a later event can try again
+  async getTeamMembers(team) {
+    const [org, slug] = team.replace(/^@/, '').split('/');
+    const key = `${org}/${slug}`.toLowerCase();
+
+    if (!this.teams.has(key)) {
+      this.teams.set(key, github.getTeamMembers(org, slug)
+        .then(members => new Set(members.map(member => member.login.toLowerCase()))));
+    }
+
+    try {
+      return await this.teams.get(key);
+    } catch (error) {
+      this.teams.delete(key);
+
+      if (!this.unreadableTeams.has(key)) {
+        this.unreadableTeams.add(key);
+        console.error(`Could not read the members of ${team}, counting all approvals for the owners it is in: ${error.message}`);
+      }
+      return null;
+    }
+  },
+
+  async isOwner(login, owner) {
+    if (owner.includes('/')) {
+      return (await this.getTeamMembers(owner))?.has(login.toLowerCase()) || false;
+    }
+    return owner.replace(/^@/, '').toLowerCase() === login.toLowerCase();
+  },
+
+  // a group with a team whose members can't be read is approved by anyone, as when there is no CODEOWNERS file
+  async isReadable(group) {
+    for (const owner of group.filter(candidate => candidate.includes('/'))) {
+      if (!await this.getTeamMembers(owner)) {
+        return false;
+      }
+    }
+    return true;
+  },
+
+  // the owner groups a PR needs approval from, or null when approvals aren't restricted for the repository
+  async getOwnerGroups(repo, pr, requireCodeOwnerReviews = false) {
+    const config = getApprovalOwners(repo);
+    const groups = [];
+    let restricted = false;
+
+    if (config.codeowners || requireCodeOwnerReviews) {
+      const rules = pr.base?.ref ? await this.getRules(repo, pr.base.ref) : null;
+
+      if (rules) {
+        restricted = true;
+        const files = await github.getPRFiles(repo, pr.number);
+
+        files.forEach(file => {
+          // reviews only carry a login, so owners listed by email can't be matched and are left out
+          const owners = this.getOwners(rules, file.filename).filter(owner => owner.startsWith('@'));
+
+          if (owners.length > 0 && !groups.some(group => group.join(' ') === owners.join(' '))) {
+            groups.push(owners);
+          }
+        });
+      } else {
+        console.log(`${repo} has no CODEOWNERS file on ${pr.base?.ref}, counting all approvals`);
+      }
+    }
+
+    if (config.teams.length > 0) {
+      restricted = true;
+      config.teams.forEach(team => groups.push([team.startsWith('@') ? team : `@${team}`]));
+    }
+
+    return restricted ? groups : null;
+  },
+
+  // keeps the approvers who own part of the PR and lists the groups nobody has approved for yet
+  async evaluate(repo, pr, approvers, requireCodeOwnerReviews = false) {
+    const groups = await this.getOwnerGroups(repo, pr, requireCodeOwnerReviews);
+
+    if (!groups) {
+      return { approvers, missingOwners: [] };
+    }
+
+    const approvedGroups = new Set();
+    const qualifyingApprovers = [];
+    const openGroups = new Set();
+
+    for (const [index, group] of groups.entries()) {
+      if (!await this.isReadable(group)) {
+        openGroups.add(index);
+      }
+    }
+
+    for (const login of approvers) {
+      let qualifies = false;
+
+      for (const [index, group] of groups.entries()) {
+        if (openGroups.has(index)) {
+          approvedGroups.add(index);
+          qualifies = true;
+          continue;
+        }
+
+        for (const owner of group) {
+          if (await this.isOwner(login, owner)) {
+            approvedGroups.add(index);
+            qualifies = true;
+            break;
+          }
+        }
+      }
+
+      if (qualifies) {
+        qualifyingApprovers.push(login);
+      }
+    }
+
+    return {
+      approvers: qualifyingApprovers,
+      missingOwners: groups.filter((_, index) => !approvedGroups.has(index)).map(group => group.join(' or '))
+    };
+  }
+};
+
+// whether a PR has all the approvals it needs, pass the PR when it has already been fetched
+async function getReviewSummary(repo, prNumber, pr = null) {
+  const currentPR = pr || await github.getPR(repo, prNumber);
+  const rules = await approvalRules.get(repo, currentPR.base?.ref);
+  const reviews = await github.getReviews(repo, prNumber);
+
+  const { changesRequestedCount, approvers } = summariseReviews(reviews, {
+    author: currentPR.user?.login,
+    headSha: currentPR.head?.sha,
+    dismissStale: rules.dismissStaleReviews
+  });
+
+  // with owners configured only their approvals count towards the required number
+  const owners = await codeOwners.evaluate(repo, currentPR, approvers, rules.requireCodeOwnerReviews);
+  const approvedCount = owners.approvers.length;
+
+  return {
+    approvedCount,
+    changesRequestedCount,
+    requiredApprovals: rules.requiredApprovals,
+    missingOwners: owners.missingOwners,
+    approved: approvedCount >= rules.requiredApprovals && changesRequestedCount === 0 && owners.missingOwners.length === 0
+  };
+}
+
+// PRs tracked before approval rules were read per branch don't have their own count
+function getRequiredApprovals(pr) {
+  return pr.requiredApprovals ?? Number(ENV.requiredApprovals);
+}
+
+function getPRUrl(repo, prNumber) {
+  return `${CONFIG.GITHUB_WEB_BASE}/${repo}/pull/${prNumber}`;
+}
+
+// slack treats &, < and > as control characters, text from GitHub is escaped before it goes into mrkdwn
+function escapeMrkdwn(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function truncateTitle(repo, title) {
+  const { titleMaxLength } = repoConfig.peek(repo);
+  return title.length > titleMaxLength ? title.slice(0, titleMaxLength) + '…' : title;
+}
+
+const PR_PLACEHOLDERS = ['repo', 'number', 'url', 'author', 'title', 'fullTitle', 'approvals', 'requiredApprovals', 'build', 'age', 'jira', 'markers', 'changesRequested', 'reviewers', 'owners'];
+const LIST_PLACEHOLDERS = ['count', 'repositories', 'changesRequested'];
+const LIST_TEMPLATES = ['entry', 'header', 'footer'];
+
+// MESSAGE_TEMPLATES is a JSON object of templates per routing channel, with "default" for every other channel, e.g.
+// {"default":{"approved":"🎉 {{repo}} PR #{{number}} is approved"},"C0123ABCD":{"entry":"{{markers}}<{{url}}|{{title}}> {{age}}"}}.
+// {{name}} inserts a value, {{#name}}...{{/name}} keeps its contents only when the value is set and {{^name}}...{{/name}}
+// only when it isn't. templates a channel doesn't set fall back to its default, then to the built in ones below
+const templates = {
+  defaults: {
+    entry: '({{approvals}} of {{requiredApprovals}} approvals) {{repo}} PR #{{number}} by {{author}}:\n' +
+      '{{markers}}{{#changesRequested}}🔧 {{/changesRequested}}<{{url}}|{{title}}>{{#jira}}\n🎫 {{jira}}{{/jira}}' +
+      '{{#reviewers}}\nWaiting on {{reviewers}}{{/reviewers}}{{#owners}}\nNeeds approval from {{owners}}{{/owners}}',
+    approved: '({{approvals}} of {{requiredApprovals}} approvals) {{repo}} PR #{{number}} by {{author}}:\n' +
+      '✅✅ <{{url}}|{{title}}>{{#jira}}\n🎫 {{jira}}{{/jira}}',
+    header: '',
+    footer: ''
+  },
+  placeholders: {
+    entry: PR_PLACEHOLDERS,
+    approved: PR_PLACEHOLDERS,
+    header: LIST_PLACEHOLDERS,
+    footer: LIST_PLACEHOLDERS
+  },
+  config: null,
+  compiledDefaults: {},
+
+  getConfig() {
+    if (this.config) {
+      return this.config;
+    }
+
+    const parsed = ENV.messageTemplates ? JSON.parse(ENV.messageTemplates) : {};
+
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('expected a JSON object of channel IDs or "default" to templates');
+    }
+
+    const config = {};
+
+    Object.entries(parsed).forEach(([channel, channelTemplates]) => {
+      if (!channelTemplates || typeof channelTemplates !== 'object' || Array.isArray(channelTemplates)) {
+        throw new Error(`${channel} needs an object of templates`);
+      }
+
+      config[channel] = {};
+      Object.entries(channelTemplates).forEach(([name, source]) => {
+        if (!this.placeholders[name]) {
+          throw new Error(`${channel} has an unknown template ${name}, expected ${Object.keys(this.placeholders).join(', ')}`);
+        }
+        if (typeof source !== 'string') {
+          throw new Error(`${channel} ${name} template must be a string`);
+        }
+
+        try {
+          config[channel][name] = this.compile(source, this.placeholders[name]);
+        } catch (error) {
+          throw new Error(`${channel} ${name} template: ${error.message}`);
+        }
+      });
+    });
+
+    this.config = config;
+    return this.config;
+  },
+
+  // turns a template into text and placeholder tokens, sections keep their contents as tokens of their own
+  compile(source, allowed) {
+    const root = { children: [] };
+    const stack = [root];
+    const tag = /\{\{\s*([#^/]?)\s*([A-Za-z]+)\s*\}\}/g;
+    let position = 0;
+    let match;
+
+    const addText = (tokens, text) => {
+      if (text.includes('{{') || text.includes('}}')) {
+        throw new Error(`can't read the tag in "${text.trim()}"`);
+      }
+      if (text) {
+        tokens.push({ text });
+      }
+    };
+
+    while ((match = tag.exec(source))) {
+      const [raw, kind, name] = match;
+      const current = stack[stack.length - 1];
+
+      addText(current.children, source.slice(position, match.index));
+      position = match.index + raw.length;
+
+      if (!allowed.includes(name)) {
+        throw new Error(`unknown placeholder {{${name}}}, expected one of ${allowed.join(', ')}`);
+      }
+
+      if (kind === '/') {
+        if (current.section !== name) {
+          throw new Error(`{{/${name}}} doesn't close ${current.section ? `{{#${current.section}}}` : 'an open section'}`);
+        }
+        stack.pop();
+      } else if (kind) {
+        const section = { section: name, inverted: kind === '^', children: [] };
+        current.children.push(section);
+        stack.push(section);
+      } else {
+        current.children.push({ placeholder: name });
+      }
+    }
+
+    if (stack.length > 1) {
+      throw new Error(`{{#${stack[stack.length - 1].section}}} is never closed`);
+    }
+
+    addText(root.children, source.slice(position));
+    return root.children;
+  },
+
+  get(channel, name) {
+    const config = this.getConfig();
+    const configured = config[channel]?.[name] || config.default?.[name];
+
+    if (configured) {
+      return configured;
+    }
+    if (!this.compiledDefaults[name]) {
+      this.compiledDefaults[name] = this.compile(this.defaults[name], this.placeholders[name]);
+    }
+    return this.compiledDefaults[name];
+  },
+
+  isCustomised(channel, names) {
+    const config = this.getConfig();
+    return names.some(name => config[channel]?.[name] || config.default?.[name]);
+  },
+
+  renderTokens(tokens, values) {
+    return tokens.map(token => {
+      if (token.text !== undefined) {
+        return token.text;
+      }
+      if (token.placeholder) {
+        return String(values[token.placeholder] ?? '');
+      }
+
+      const isSet = Boolean(values[token.section]);
+      return isSet !== token.inverted ? this.renderTokens(token.children, values) : '';
+    }).join('');
+  },
+
+  render(channel, name, values) {
+    return this.renderTokens(this.get(channel, name), values);
+  }
+};
+
+// the values PR templates can use, titles are escaped so they can't break the mrkdwn around them
+function getTemplateValues(pr, mentions = {}) {
+  return {
+    repo: pr.repository.split('/')[1],
+    number: pr.number,
+    url: pr.url || getPRUrl(pr.repository, pr.number),
+    author: getListMention(pr, mentions, pr.author),
+    title: escapeMrkdwn(truncateTitle(pr.repository, pr.title)),
+    fullTitle: escapeMrkdwn(pr.title),
+    approvals: pr.approvals,
+    requiredApprovals: getRequiredApprovals(pr),
+    build: pr.buildSuccess ? 'passing' : 'failing',
+    age: pr.age ?? formatAge(pr.createdAt),
+    jira: jira.formatKeys(getJiraKeys(pr)),
+    markers: escalation.getMarker(pr) + priority.getBadge(pr),
+    changesRequested: !!pr.changesRequested,
+    reviewers: getPendingReviewers(pr).map(login => getListMention(pr, mentions, login)).join(', '),
+    owners: (pr.missingOwners || []).join(', ')
+  };
+}
+
+function getListTemplateValues(prs) {
+  return {
+    count: prs.length,
+    repositories: groupByRepository(prs).size,
+    changesRequested: prs.filter(pr => pr.changesRequested).length
+  };
+}
+
+// renders a PR with the default entry template, emoji stands in for the list's markers
+function formatPRMessage(prNumber, prAuthor, prTitle, repo, approvedCount, emoji = '', reviewers = [], requiredApprovals = ENV.requiredApprovals, missingOwners = [], jiraKeys = jira.findKeys(prTitle)) {
+  return templates.render('default', 'entry', {
+    ...getTemplateValues({ repository: repo, number: prNumber, title: prTitle, approvals: approvedCount, requiredApprovals, jiraKeys }),
+    author: prAuthor,
+    markers: emoji,
+    age: '',
+    reviewers: reviewers.join(', '),
+    owners: missingOwners.join(', ')
+  });
+}
+
+// a PR whose entry was already posted unchanged is shown with plain logins, so reposting the list doesn't ping
+// its author and reviewers again
+function getListMention(pr, mentions, login) {
+  return (!pr.announced && mentions[login]) || login;
+}
+
+// requested reviewers are only worth a ping while the PR is still short of approvals
+function getPendingReviewers(pr) {
+  if (pr.approvals >= getRequiredApprovals(pr) && !pr.missingOwners?.length) {
+    return [];
+  }
+  return pr.requestedReviewers || [];
+}
+
+function formatAge(createdAt, now = new Date()) {
+  const hours = Math.max(0, Math.floor((now - new Date(createdAt)) / (60 * 60 * 1000)));
+
+  if (hours < 24) {
+    return `${hours}h`;
+  }
+  return `${Math.floor(hours / 24)}d`;
+}
+
+// slack rejects messages with more than 50 blocks
+const SLACK_MAX_BLOCKS = 50;
+
+function groupByRepository(prs) {
+  const byRepo = new Map();
+
+  prs.forEach(pr => {
+    if (!byRepo.has(pr.repository)) {
+      byRepo.set(pr.repository, []);
+    }
+    byRepo.get(pr.repository).push(pr);
+  });
+
+  return byRepo;
+}
+
+const APPROVAL_LIST_GROUPINGS = ['repository', 'jira'];
+
+// PRs tracked before jira keys were stored only have their title to go on
+function getJiraKeys(pr) {
+  return pr.jiraKeys || jira.findKeys(pr.title);
+}
+
+// splits the approval list into the sections renderers show, one per repository. grouping by jira first pulls PRs
+// whose first ticket is the same into a section of their own, so a change spanning repositories is reviewed together
+function groupApprovalList(prs) {
+  const sections = [];
+  let remaining = prs;
+
+  if (ENV.approvalListGroupBy === 'jira') {
+    const byTicket = new Map();
+
+    prs.forEach(pr => {
+      const key = getJiraKeys(pr)[0];
+
+      if (key) {
+        byTicket.set(key, [...(byTicket.get(key) || []), pr]);
+      }
+    });
+
+    const shared = Array.from(byTicket.entries())
+      .filter(([, ticketPRs]) => ticketPRs.length > 1)
+      .sort(([a], [b]) => a.localeCompare(b));
+    const grouped = new Set(shared.flatMap(([, ticketPRs]) => ticketPRs));
+
+    shared.forEach(([key, ticketPRs]) => sections.push({ name: `🎫 ${key}`, url: jira.getUrl(key), prs: ticketPRs, showRepository: true }));
+    remaining = prs.filter(pr => !grouped.has(pr));
+  }
+
+  const byRepo = groupByRepository(remaining);
+  const topRank = repo => priority.get(byRepo.get(repo)[0]).rank;
+
+  // prs arrive sorted, so a repository with a hotfix is listed ahead of the rest
+  Array.from(byRepo.keys()).sort((a, b) => topRank(b) - topRank(a) || a.localeCompare(b)).forEach(repo => sections.push({
+    name: repo.split('/')[1],
+    url: `${CONFIG.GITHUB_WEB_BASE}/${repo}/pulls`,
+    prs: byRepo.get(repo),
+    showRepository: false
+  }));
+
+  return sections;
+}
+
+// the parts of an approval list entry every renderer shows, mentions map logins to the notifier's own mentions
+function describeListedPR(pr, mentions = {}) {
+  const reviewers = getPendingReviewers(pr).map(login => getListMention(pr, mentions, login));
+
+  return {
+    truncatedTitle: truncateTitle(pr.repository, pr.title),
+    emoji: escalation.getMarker(pr) + priority.getBadge(pr) + (pr.changesRequested ? '🔧 ' : ''),
+    author: getListMention(pr, mentions, pr.author),
+    jiraKeys: getJiraKeys(pr),
+    details: [
+      `👍 ${pr.approvals} of ${getRequiredApprovals(pr)} approvals`,
+      pr.changesRequested ? '🔧 changes requested' : null,
+      pr.buildSuccess ? '🟢 build passing' : '🔴 build failing',
+      `🕒 ${pr.age ?? formatAge(pr.createdAt)} old`,
+      reviewers.length > 0 ? `👀 waiting on ${reviewers.join(', ')}` : null,
+      pr.missingOwners?.length > 0 ? `🔐 needs approval from ${pr.missingOwners.join(', ')}` : null
+    ].filter(Boolean)
+  };
+}
+
+function summariseApprovalList(prs, repoCount, bold = text => `*${text}*`) {
+  const changesRequestedTotal = prs.filter(pr => pr.changesRequested).length;
+  const prLabel = prs.length === 1 ? 'PR' : 'PRs';
+  const repoLabel = repoCount === 1 ? 'repository' : 'repositories';
+
+  return `${bold(prs.length)} ${prLabel} across ${bold(repoCount)} ${repoLabel} · ${bold(changesRequestedTotal)} with changes requested`;
+}
+
+function buildApprovalListBlocks(prs, mentions = {}) {
+  const sections = groupApprovalList(prs);
+
+  const blocks = [
+    {
+      type: 'header',
+      text: { type: 'plain_text', text: 'PRs awaiting review', emoji: true }
+    },
+    {
+      type: 'context',
+      elements: [{
+        type: 'mrkdwn',
+        text: summariseApprovalList(prs, groupByRepository(prs).size)
+      }]
+    }
+  ];
+
+  // keep room for the overflow note, the plain text fallback still lists every PR
+  const maxBlocks = SLACK_MAX_BLOCKS - 1;
+  let hiddenCount = 0;
+
+  sections.forEach(section => {
+    section.prs.forEach((pr, index) => {
+      const { truncatedTitle, emoji, author, jiraKeys, details } = describeListedPR(pr, mentions);
+      const repoPrefix = section.showRepository ? `${pr.repository.split('/')[1]} ` : '';
+      const prBlocks = [];
+
+      if (index === 0) {
+        prBlocks.push({ type: 'divider' });
+        prBlocks.push({
+          type: 'section',
+          text: { type: 'mrkdwn', text: `*${section.url ? `<${section.url}|${section.name}>` : section.name}* (${section.prs.length})` }
+        });
+      }
+
+      prBlocks.push({
+        type: 'section',
+        text: { type: 'mrkdwn', text: `${emoji}<${getPRUrl(pr.repository, pr.number)}|${repoPrefix}#${pr.number} ${escapeMrkdwn(truncatedTitle)}> by ${author}` }
+      });
+      prBlocks.push({
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: [...details, ...(jiraKeys.length > 0 ? [`🎫 ${jira.formatKeys(jiraKeys)}`] : [])].join(' · ') }]
+      });
+
+      // once one PR doesn't fit, hide the rest so the list never skips entries
+      if (hiddenCount > 0 || blocks.length + prBlocks.length > maxBlocks) {
+        hiddenCount++;
+      } else {
+        blocks.push(...prBlocks);
+      }
+    });
+  });
+
+  if (hiddenCount > 0) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `…and ${hiddenCount} more not shown` }]
+    });
+  }
+
+  return blocks;
+}
+
+// customised templates are laid out as written, a section for the header and each entry and a context for the footer
+function buildTemplatedListBlocks(header, entries, footer) {
+  const blocks = header ? [{ type: 'section', text: { type: 'mrkdwn', text: header } }] : [];
+  const footerBlocks = footer ? [{ type: 'context', elements: [{ type: 'mrkdwn', text: footer }] }] : [];
+  // keep room for the footer and the overflow note
+  const maxEntries = SLACK_MAX_BLOCKS - blocks.length - footerBlocks.length - 1;
+
+  entries.slice(0, maxEntries).forEach(entry => blocks.push({ type: 'section', text: { type: 'mrkdwn', text: entry } }));
+
+  if (entries.length > maxEntries) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `…and ${entries.length - maxEntries} more not shown` }] });
+  }
+
+  return [...blocks, ...footerBlocks];
+}
+
+// teams drops cards over about 28KB, which is roughly this many entries
+const TEAMS_MAX_CARD_PRS = 40;
+
+// the approval list as an adaptive card, laid out like the slack blocks
+function buildApprovalListCard(prs, mentions = {}) {
+  const link = (url, text) => `[${text}](${url})`;
+  const body = [
+    { type: 'TextBlock', text: 'PRs awaiting review', size: 'Large', weight: 'Bolder' },
+    { type: 'TextBlock', text: summariseApprovalList(prs, groupByRepository(prs).size, text => `**${text}**`), isSubtle: true, wrap: true }
+  ];
+  let shownCount = 0;
+
+  groupApprovalList(prs).forEach(section => {
+    const sectionPRs = section.prs.slice(0, Math.max(0, TEAMS_MAX_CARD_PRS - shownCount));
+
+    if (sectionPRs.length === 0) {
+      return;
+    }
+
+    const items = [{ type: 'TextBlock', text: `**${section.url ? link(section.url, section.name) : section.name}** (${section.prs.length})`, wrap: true }];
+
+    sectionPRs.forEach(pr => {
+      const { truncatedTitle, emoji, author, jiraKeys, details } = describeListedPR(pr, mentions);
+      const repoPrefix = section.showRepository ? `${pr.repository.split('/')[1]} ` : '';
+      const jiraDetail = jiraKeys.length > 0 ? [`🎫 ${jira.formatKeys(jiraKeys, link)}`] : [];
+      items.push({ type: 'TextBlock', text: `${emoji}${link(getPRUrl(pr.repository, pr.number), `${repoPrefix}#${pr.number} ${truncatedTitle}`)} by ${author}`, wrap: true });
+      items.push({ type: 'TextBlock', text: [...details, ...jiraDetail].join(' · '), isSubtle: true, size: 'Small', spacing: 'None', wrap: true });
+    });
+
+    shownCount += sectionPRs.length;
+    body.push({ type: 'Container', separator: true, items });
+  });
+
+  if (shownCount < prs.length) {
+    body.push({ type: 'TextBlock', text: `…and ${prs.length - shownCount} more not shown`, isSubtle: true });
+  }
+
+  return {
+    $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+    type: 'AdaptiveCard',
+    version: '1.4',
+    body
+  };
+}
+
+async function createPRStateUpdate(repo, prNumber, prTitle, prAuthor, approvedCount, changesRequestedCount, pr, requiredApprovals = Number(ENV.requiredApprovals), missingOwners = []) {
+  const buildSuccess = await getBuildStatus(repo, pr.head.sha, pr.labels);
+
+  return {
+    number: prNumber,
+    title: prTitle,
+    author: prAuthor,
+    url: getPRUrl(repo, prNumber),
+    changesRequested: changesRequestedCount > 0,
+    approvals: approvedCount,
+    requiredApprovals,
+    missingOwners,
+    baseBranch: pr.base?.ref,
+    labels: getLabelNames(pr.labels),
+    jiraKeys: jira.findKeys(prTitle, pr.head?.ref),
+    buildSuccess,
+    draft: !!pr.draft,
+    stage: 'review',
+    blockedBy: [],
+    timeline: { openedAt: pr.created_at || new Date().toISOString() },
+    requestedReviewers: (pr.requested_reviewers || []).map(reviewer => reviewer.login),
+    headSha: pr.head.sha,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+async function fetchPRDataAndCreateState(repo, prNumber, prTitle, prAuthor) {
+  const pr = await github.getPR(repo, prNumber);
+  const { approvedCount, changesRequestedCount, requiredApprovals, missingOwners, approved } = await getReviewSummary(repo, prNumber, pr);
+  const prState = await createPRStateUpdate(repo, prNumber, prTitle, prAuthor, approvedCount, changesRequestedCount, pr, requiredApprovals, missingOwners);
+  return approved ? toReadyToMerge(prState) : prState;
+}
+
+// approved PRs stay tracked until they close, known blockers are kept until they are checked again
+function toReadyToMerge(prState) {
+  const { blockedBy, ...rest } = prState;
+  return { ...rest, stage: 'readyToMerge' };
+}
+
+// a failing build or a conflict with the base branch stops an approved PR from being merged. GitHub works out
+// mergeable_state in the background and a new build starts out pending, until they settle the previous answer stands
+function getMergeBlockers(pr, buildState, previous = []) {
+  const blockers = [];
+  const mergeableUnknown = !pr.mergeable_state || pr.mergeable_state === 'unknown';
+
+  if (buildState === 'failure' || (buildState === 'pending' && previous.includes('ci'))) {
+    blockers.push('ci');
+  }
+  if (pr.mergeable_state === 'dirty' || (mergeableUnknown && previous.includes('conflicts'))) {
+    blockers.push('conflicts');
+  }
+
+  return blockers;
+}
+
+function describeMergeBlockers(blockers, baseBranch) {
+  return blockers
+    .map(blocker => (blocker === 'ci' ? 'the build is failing' : `it has conflicts with ${baseBranch || 'the base branch'}`))
+    .join(' and ');
+}
+
+// re-checks an approved PR, the author is told when something new blocks the merge and again once nothing does
+async function checkReadyToMerge(repo, trackedPR, pr, buildState = null) {
+  const previous = trackedPR.blockedBy || [];
+  const blockedBy = getMergeBlockers(pr, buildState || await getBuildState(repo, pr.head.sha, pr.labels), previous);
+
+  if (JSON.stringify(blockedBy) === JSON.stringify(previous)) {
+    return;
+  }
+
+  await stateManager.updatePR(repo, trackedPR.number, { blockedBy });
+
+  const newBlockers = blockedBy.filter(blocker => !previous.includes(blocker));
+  const channels = routing.getChannels(repo, trackedPR);
+  const link = `<${trackedPR.url || getPRUrl(repo, trackedPR.number)}|${repo.split('/')[1]} PR #${trackedPR.number}>`;
+  const data = { pullRequest: routing.getPRKey(repo, trackedPR.number), blockedBy };
+
+  if (newBlockers.length > 0) {
+    const reasons = describeMergeBlockers(newBlockers, trackedPR.baseBranch);
+    console.log(`${repo} PR #${trackedPR.number} is approved but blocked by ${blockedBy.join(', ')}`);
+    await notifyChannels(channels, [trackedPR.author],
+      mentions => `🚧 ${mentions[trackedPR.author]}, ${link} is approved but can't be merged yet: ${reasons}`,
+      { ...data, type: 'blocked' });
+    await activityLog.post(repo, trackedPR.number, `🚧 blocked, ${reasons}`);
+  } else if (blockedBy.length === 0) {
+    console.log(`${repo} PR #${trackedPR.number} is no longer blocked`);
+    await notifyChannels(channels, [trackedPR.author],
+      mentions => `🚀 ${mentions[trackedPR.author]}, ${link} is no longer blocked and ready to merge`,
+      { ...data, type: 'unblocked' });
+    await activityLog.post(repo, trackedPR.number, '🚀 no longer blocked, ready to merge');
+  }
+}
+
+async function handlePROpened(event) {
+  const { prNumber, prAuthor, prTitle, repo, labels } = event;
+
+  const ignoreReason = await getIgnoreReason(repo, labels, prAuthor);
+
+  if (ignoreReason) {
+    console.log(`ignoring PR, ${ignoreReason}`);
+    return;
+  }
+
+  const prState = await fetchPRDataAndCreateState(repo, prNumber, prTitle, prAuthor);
+  await stateManager.updatePR(repo, prNumber, prState);
+
+  if (prState.draft) {
+    console.log('PR is a draft, delaying slack notification until it is ready for review');
+  } else if (prState.buildSuccess) {
+    await repostApprovalList([{ repo, prNumber }]);
+  } else {
+    console.log('build status is not success, delaying slack notification');
+  }
+}
+
+// the author replying to review comments shows up as a review, only other people's reviews count. dismissing a
+// review isn't a new one
+function getReviewTimeline(event) {
+  if (!event.reviewer || event.reviewer === event.prAuthor || event.reviewState === 'dismissed') {
+    return {};
+  }
+  return { firstReviewAt: event.reviewSubmittedAt || new Date().toISOString() };
+}
+
+async function handlePRReview(event) {
+  const { prNumber, prAuthor, prTitle, repo, reviewState, labels } = event;
+
+  if (reviewState === 'changes_requested') {
+    await handlePRChangesRequested(event);
+    return;
+  }
+
+  const ignoreReason = await getIgnoreReason(repo, labels, prAuthor);
+
+  if (ignoreReason) {
+    console.log(`ignoring PR, ${ignoreReason}`);
+    return;
+  }
+
+  await sleep(2000);
+
+  const pr = await github.getPR(repo, prNumber);
+  const { approvedCount, changesRequestedCount, requiredApprovals, missingOwners, approved } = await getReviewSummary(repo, prNumber, pr);
+  const reviewTimeline = getReviewTimeline(event);
+
+  if (approved) {
+    const { state } = await stateManager.readState();
+    const trackedPR = state.repositories[repo]?.pullRequests[prNumber];
+
+    if (!trackedPR) {
+      console.log(`PR #${prNumber} not found in state, skipping approval message`);
+      return;
+    }
+
+    const prState = toReadyToMerge(await createPRStateUpdate(repo, prNumber, prTitle, prAuthor, approvedCount, changesRequestedCount, pr, requiredApprovals, missingOwners));
+    prState.timeline = { ...prState.timeline, ...reviewTimeline, approvedAt: event.reviewSubmittedAt || new Date().toISOString() };
+    await stateManager.updatePR(repo, prNumber, prState);
+
+    // later approvals of a PR that is already ready to merge are only logged
+    if (trackedPR.stage !== 'readyToMerge') {
+      // post standalone approval message regardless of build status
+      await notifyChannels(
+        routing.getChannels(repo, prState),
+        [prAuthor],
+        (mentions, channel) => templates.render(channel, 'approved', getTemplateValues({ ...trackedPR, ...prState, createdAt: trackedPR.createdAt, repository: repo }, mentions)),
+        { type: 'approved', pullRequest: routing.getPRKey(repo, prNumber) }
+      );
+      // dismissing a change request can leave a PR approved
+      const reason = event.reviewState === 'dismissed'
+        ? activityLog.describeReview(event, approvedCount, requiredApprovals)
+        : `✅ approved by ${event.reviewer} (${approvedCount} of ${requiredApprovals} approvals)`;
+      await activityLog.post(repo, prNumber, `${reason}, ready to merge`);
+    } else if (event.reviewer && event.reviewer !== prAuthor) {
+      await activityLog.post(repo, prNumber, activityLog.describeReview(event, approvedCount, requiredApprovals));
+    }
+
+    await checkReadyToMerge(repo, { ...trackedPR, ...prState }, pr);
+  } else {
+    const prState = await createPRStateUpdate(repo, prNumber, prTitle, prAuthor, approvedCount, changesRequestedCount, pr, requiredApprovals, missingOwners);
+    prState.timeline = { ...prState.timeline, ...reviewTimeline };
+    await stateManager.updatePR(repo, prNumber, prState);
+
+    // the author answering review comments shows up as a review too, that isn't worth a reply
+    if (event.reviewer && event.reviewer !== prAuthor) {
+      await activityLog.post(repo, prNumber, activityLog.describeReview(event, approvedCount, requiredApprovals));
+    }
+  }
+
+  await repostApprovalList([{ repo, prNumber }]);
+}
+
+async function handlePRChangesRequested(event) {
+  const { prNumber, prAuthor, repo, prTitle, reviewState, labels } = event;
+
+  if (reviewState !== 'changes_requested') {
+    return;
+  }
+
+  const ignoreReason = await getIgnoreReason(repo, labels, prAuthor);
+
+  if (ignoreReason) {
+    console.log(`ignoring PR, ${ignoreReason}`);
+    return;
+  }
+
+  const pr = await github.getPR(repo, prNumber);
+  const { approvedCount, requiredApprovals, missingOwners } = await getReviewSummary(repo, prNumber, pr);
+  const prState = await createPRStateUpdate(repo, prNumber, prTitle, prAuthor, approvedCount, 1, pr, requiredApprovals, missingOwners);
+
+  prState.timeline = {
+    ...prState.timeline,
+    ...getReviewTimeline(event),
+    changesRequestedAt: [event.reviewSubmittedAt || new Date().toISOString()]
+  };
+
+  await stateManager.updatePR(repo, prNumber, prState);
+  await activityLog.post(repo, prNumber, activityLog.describeReview(event, approvedCount, requiredApprovals));
+  await repostApprovalList([{ repo, prNumber }]);
+}
+
+async function handlePRClosed(event) {
+  const { prNumber, repo, merged } = event;
+
+  // read before archiving, the notice goes to the channels the PR was listed in
+  const { state } = await stateManager.readState();
+  const trackedPR = state.repositories[repo]?.pullRequests[prNumber] || state.history?.[repo]?.[prNumber];
+
+  await stateManager.archivePR(repo, prNumber, {
+    merged: !!merged,
+    timeline: { closedAt: new Date().toISOString() }
+  });
+  await activityLog.post(repo, prNumber, merged ? '🔀 merged' : '🚪 closed without merging');
+
+  if (trackedPR?.title) {
+    const link = `<${trackedPR.url || getPRUrl(repo, prNumber)}|${repo.split('/')[1]} PR #${prNumber}>`;
+    await notifyChannels(routing.getChannels(repo, trackedPR), [trackedPR.author],
+      mentions => (merged
+        ? `🎉 ${link} by ${mentions[trackedPR.author]} was merged: ${escapeMrkdwn(trackedPR.title)}`
+        : `🚪 ${link} by ${mentions[trackedPR.author]} was closed without merging: ${escapeMrkdwn(trackedPR.title)}`),
+      { type: merged ? 'merged' : 'closed', pullRequest: routing.getPRKey(repo, prNumber) });
+  } else {
+    console.log(`PR #${prNumber} was not tracked, no ${merged ? 'merged' : 'closed'} notice`);
+  }
+
+  await repostApprovalList([{ repo, prNumber }]);
+}
+
+// keeps a tracked PR's labels current. labels that SLACK_ROUTES routes on or that set its priority also change the
+// approval list, other labels are only stored
+async function handleLabelChange(event) {
+  const { prNumber, repo, label, labels } = event;
+  const { state } = await stateManager.readState();
+
+  if (!state.repositories[repo]?.pullRequests[prNumber]) {
+    console.log('PR not found in state, not updating labels');
+    return;
+  }
+
+  await stateManager.updatePR(repo, prNumber, { labels: getLabelNames(labels) });
+
+  if (routing.usesLabel(label) || priority.usesLabel(label)) {
+    await repostApprovalList([{ repo, prNumber }]);
+  } else {
+    console.log(`${label} doesn't route or prioritise PRs, approval list unchanged`);
+  }
+}
+
+async function handlePRLabeled(event) {
+  const { prNumber, repo, label, prAuthor, prTitle, sender } = event;
+  const { labels: labelNames } = await repoConfig.get(repo);
+
+  // logged first, while a PR getting the ignore label is still tracked
+  await activityLog.post(repo, prNumber, `🏷️ ${label} added${sender ? ` by ${sender}` : ''}`);
+
+  if (label !== labelNames.ignore && label !== labelNames.skipCI) {
+    await handleLabelChange(event);
+    return;
+  }
+
+  const { state } = await stateManager.readState();
+
+  if (label === labelNames.ignore) {
+    if (state.repositories[repo]?.pullRequests[prNumber]) {
+      await stateManager.removePR(repo, prNumber);
+      await repostApprovalList([{ repo, prNumber }]);
+    } else {
+      console.log('PR not found in state, ignoring event');
+    }
+  } else if (label === labelNames.skipCI) {
+    if (state.repositories[repo]?.pullRequests[prNumber]) {
+      const prState = await fetchPRDataAndCreateState(repo, prNumber, prTitle, prAuthor);
+      await stateManager.updatePR(repo, prNumber, prState);
+      await repostApprovalList([{ repo, prNumber }]);
+    } else {
+      console.log('PR not found in state, ignoring event');
+    }
+  }
+}
+
+async function handlePRUnlabeled(event) {
+  const { prNumber, repo, label, prAuthor, prTitle, sender } = event;
+  const config = await repoConfig.get(repo);
+  const labelNames = config.labels;
+
+  await activityLog.post(repo, prNumber, `🏷️ ${label} removed${sender ? ` by ${sender}` : ''}`);
+
+  if (label !== labelNames.ignore && label !== labelNames.skipCI) {
+    await handleLabelChange(event);
+    return;
+  }
+
+  const { state } = await stateManager.readState();
+
+  if (label === labelNames.ignore) {
+    if (repoConfig.isExcludedAuthor(config, prAuthor)) {
+      console.log(`${prAuthor} is an excluded author, ignoring event`);
+    } else if (!state.repositories[repo]?.pullRequests[prNumber]) {
+      const prState = await fetchPRDataAndCreateState(repo, prNumber, prTitle, prAuthor);
+      await stateManager.updatePR(repo, prNumber, prState);
+      await repostApprovalList([{ repo, prNumber }]);
+    } else {
+      console.log('PR already exists in state, ignoring event');
+    }
+  } else if (label === labelNames.skipCI) {
+    // skip CI label removed, re-evaluate build status
+    if (state.repositories[repo]?.pullRequests[prNumber]) {
+      const prState = await fetchPRDataAndCreateState(repo, prNumber, prTitle, prAuthor);
+      await stateManager.updatePR(repo, prNumber, prState);
+      await repostApprovalList([{ repo, prNumber }]);
+    } else {
+      console.log('PR not found in state, ignoring event');
+    }
+  }
+}
+
+async function handlePRSynchronize(event) {
+  const { prNumber, repo, headSha, labels } = event;
+
+  const { state } = await stateManager.readState();
+  const trackedPR = state.repositories[repo]?.pullRequests[prNumber];
+
+  if (!trackedPR) {
+    console.log('PR not found in state, ignoring event');
+    return;
+  }
+
+  // new commits invalidate the previous build result, the new head has to go green again
+  const buildState = await getBuildState(repo, headSha, labels);
+  const buildSuccess = buildState === 'success';
+  console.log(`PR #${prNumber} head moved from ${trackedPR.headSha} to ${headSha}, build success: ${buildSuccess}`);
+
+  if (trackedPR.stage === 'readyToMerge') {
+    await recheckReadyToMerge(repo, trackedPR, buildState);
+    return;
+  }
+
+  // approvals of the old head stop counting when stale reviews are dismissed
+  const pr = await github.getPR(repo, prNumber);
+  const { approvedCount, changesRequestedCount, requiredApprovals, missingOwners } = await getReviewSummary(repo, prNumber, pr);
+
+  await stateManager.updatePR(repo, prNumber, {
+    headSha,
+    buildSuccess,
+    approvals: approvedCount,
+    changesRequested: changesRequestedCount > 0,
+    requiredApprovals,
+    missingOwners
+  });
+  await repostApprovalList([{ repo, prNumber }]);
+}
+
+// new commits can dismiss stale approvals or resolve conflicts, a PR that is no longer approved goes back to review
+async function recheckReadyToMerge(repo, trackedPR, buildState) {
+  const prNumber = trackedPR.number;
+  const pr = await github.getPR(repo, prNumber);
+  const { approvedCount, changesRequestedCount, requiredApprovals, missingOwners, approved } = await getReviewSummary(repo, prNumber, pr);
+  const prState = await createPRStateUpdate(repo, prNumber, trackedPR.title, trackedPR.author, approvedCount, changesRequestedCount, pr, requiredApprovals, missingOwners);
+
+  if (!approved) {
+    console.log(`PR #${prNumber} is no longer approved, moving back to review`);
+    await stateManager.updatePR(repo, prNumber, prState);
+    await activityLog.post(repo, prNumber, `↩️ back in review after new commits (${approvedCount} of ${requiredApprovals} approvals)`);
+    await repostApprovalList([{ repo, prNumber }]);
+    return;
+  }
+
+  const readyState = toReadyToMerge(prState);
+  await stateManager.updatePR(repo, prNumber, readyState);
+  await checkReadyToMerge(repo, { ...trackedPR, ...readyState }, pr, buildState);
+}
+
+async function handlePREdited(event) {
+  const { prNumber, repo, prTitle, prAuthor, headBranch, titleChanged, baseChanged } = event;
+
+  if (!titleChanged && !baseChanged) {
+    console.log('Ignoring event, PR title and base branch were not edited');
+    return;
+  }
+
+  const { state } = await stateManager.readState();
+
+  if (!state.repositories[repo]?.pullRequests[prNumber]) {
+    console.log('PR not found in state, ignoring event');
+    return;
+  }
+
+  // a new base branch can change the channels and the approvals needed, so refresh everything
+  const updates = baseChanged
+    ? await fetchPRDataAndCreateState(repo, prNumber, prTitle, prAuthor)
+    : { title: prTitle, jiraKeys: jira.findKeys(prTitle, headBranch) };
+  await stateManager.updatePR(repo, prNumber, updates);
+  await repostApprovalList([{ repo, prNumber }]);
+}
+
+async function handlePRConvertedToDraft(event) {
+  const { prNumber, repo } = event;
+
+  const { state } = await stateManager.readState();
+
+  if (!state.repositories[repo]?.pullRequests[prNumber]) {
+    console.log('PR not found in state, ignoring event');
+    return;
+  }
+
+  await stateManager.updatePR(repo, prNumber, { draft: true });
+  await repostApprovalList([{ repo, prNumber }]);
+}
+
+async function handlePRReadyForReview(event) {
+  const { prNumber, prAuthor, prTitle, repo, labels } = event;
+
+  const ignoreReason = await getIgnoreReason(repo, labels, prAuthor);
+
+  if (ignoreReason) {
+    console.log(`ignoring PR, ${ignoreReason}`);
+    return;
+  }
+
+  // reviews and build may have moved on while the PR was a draft, so refresh everything
+  const prState = await fetchPRDataAndCreateState(repo, prNumber, prTitle, prAuthor);
+  await stateManager.updatePR(repo, prNumber, { ...prState, draft: false });
+  await repostApprovalList([{ repo, prNumber }]);
+}
+
+async function handlePRReviewRequested(event) {
+  const { prNumber, repo, requestedReviewers } = event;
+
+  const { state } = await stateManager.readState();
+
+  if (!state.repositories[repo]?.pullRequests[prNumber]) {
+    console.log('PR not found in state, ignoring event');
+    return;
+  }
+
+  await stateManager.updatePR(repo, prNumber, { requestedReviewers: requestedReviewers || [] });
+  await repostApprovalList([{ repo, prNumber }]);
+}
+
+async function handleStatus(event) {
+  const { sha, repo } = event;
+
+  const prs = await github.getCommitPRs(repo, sha);
+
+  if (!prs || prs.length === 0) {
+    console.log('No PRs associated with this commit, ignoring event');
+    return;
+  }
+
+  const { state: prState } = await stateManager.readState();
+
+  const changedPRs = [];
+
+  for (const pr of prs) {
+    const prNumber = pr.number;
+    const trackedPR = prState.repositories[repo]?.pullRequests[prNumber];
+
+    if (!trackedPR) {
+      console.log(`PR #${prNumber} not found in state, skipping`);
+      continue;
+    }
+
+    const { labels: labelNames } = await repoConfig.get(repo);
+    const skipBuild = pr.labels?.some(label => label.name === labelNames.skipCI);
+
+    if (skipBuild || ENV.skipCICheck) {
+      console.log(`PR #${prNumber} has ${labelNames.skipCI} label, skipping build status update`);
+      continue;
+    }
+
+    // a single context or check passing doesn't make the build green, re-evaluate everything required
+    const buildState = await getBuildState(repo, sha, pr.labels);
+    const newBuildSuccess = buildState === 'success';
+    const oldBuildSuccess = trackedPR.buildSuccess;
+
+    console.log(`PR #${prNumber} build status from: ${oldBuildSuccess} to ${newBuildSuccess}`);
+
+    if (newBuildSuccess !== oldBuildSuccess) {
+      await stateManager.updatePR(repo, prNumber, {
+        ...trackedPR,
+        buildSuccess: newBuildSuccess,
+        headSha: sha,
+        lastUpdated: new Date().toISOString()
+      });
+      await activityLog.post(repo, prNumber, newBuildSuccess ? '🟢 build passing' : `🔴 build failing, ${event.context} is ${event.state}`);
+
+      // ready to merge PRs aren't in the approval list, a build change there only matters for blockers
+      if (trackedPR.stage !== 'readyToMerge') {
+        changedPRs.push({ repo, prNumber });
+      }
+    }
+
+    if (trackedPR.stage === 'readyToMerge') {
+      const currentPR = await github.getPR(repo, prNumber);
+
+      // statuses for an older commit say nothing about whether the PR can be merged now
+      if (currentPR.head?.sha === sha) {
+        await checkReadyToMerge(repo, trackedPR, currentPR, buildState);
+      }
+    }
+  }
+
+  if (changedPRs.length > 0) {
+    await repostApprovalList(changedPRs);
+  }
+}
+
+// a tracked PR that is no longer open was closed or merged while the bot missed the event
+async function archiveClosedPR(repo, prNumber, pr = null) {
+  const closedPR = pr || await github.getPR(repo, prNumber);
+
+  await stateManager.archivePR(repo, prNumber, {
+    merged: !!closedPR.merged_at,
+    timeline: { closedAt: closedPR.closed_at || new Date().toISOString() }
+  });
+}
+
+// brings the state of one open PR in line with GitHub and returns whether anything changed.
+// force writes the PR even when the tracked copy already matches
+async function reconcilePR(repo, pr, trackedPR, force = false) {
+  const prNumber = pr.number;
+
+  const ignoreReason = await getIgnoreReason(repo, pr.labels, pr.user?.login);
+
+  if (ignoreReason) {
+    if (trackedPR) {
+      console.log(`${repo} PR #${prNumber} is ignored, ${ignoreReason}, removing from state`);
+      await stateManager.removePR(repo, prNumber);
+      return true;
+    }
+    return false;
+  }
+
+  const { approvedCount, changesRequestedCount, requiredApprovals, missingOwners, approved } = await getReviewSummary(repo, prNumber, pr);
+
+  // approvals that happened while the bot wasn't listening only matter for PRs it already tracks
+  if (approved && !trackedPR) {
+    return false;
+  }
+
+  let prState = await createPRStateUpdate(repo, prNumber, pr.title, pr.user?.login, approvedCount, changesRequestedCount, pr, requiredApprovals, missingOwners);
+  prState.createdAt = trackedPR?.createdAt || pr.created_at;
+
+  if (approved) {
+    prState = toReadyToMerge(prState);
+    prState.timeline = { ...prState.timeline, approvedAt: new Date().toISOString() };
+  }
+
+  const isStale = !trackedPR || ['title', 'approvals', 'requiredApprovals', 'missingOwners', 'changesRequested', 'buildSuccess', 'draft', 'headSha', 'requestedReviewers', 'baseBranch', 'labels', 'jiraKeys']
+    .some(key => JSON.stringify(trackedPR[key]) !== JSON.stringify(prState[key])) ||
+    (trackedPR.stage || 'review') !== prState.stage;
+
+  if (isStale || force) {
+    console.log(`${repo} PR #${prNumber} ${trackedPR ? (isStale ? 'is out of date' : 'is being refreshed') : 'is not tracked'}, updating state`);
+    await stateManager.updatePR(repo, prNumber, prState);
+  }
+
+  // the open PRs list doesn't include mergeable_state, and no event fires when another PR merging into the base
+  // branch causes a conflict, so ready PRs are fetched on their own
+  if (approved) {
+    const currentPR = pr.mergeable_state === undefined ? await github.getPR(repo, prNumber) : pr;
+    await checkReadyToMerge(repo, { ...trackedPR, ...prState }, currentPR);
+  }
+
+  return isStale || force;
+}
+
+async function reconcileRepository(repo, trackedPRs) {
+  const openPRs = await github.getOpenPRs(repo);
+  const openNumbers = new Set(openPRs.map(pr => String(pr.number)));
+  let changed = false;
+
+  for (const prNumber of Object.keys(trackedPRs)) {
+    if (!openNumbers.has(String(prNumber))) {
+      console.log(`${repo} PR #${prNumber} is no longer open, moving to history`);
+      await archiveClosedPR(repo, prNumber);
+      changed = true;
+    }
+  }
+
+  for (const pr of openPRs) {
+    if (await reconcilePR(repo, pr, trackedPRs[pr.number])) {
+      changed = true;
+    }
+  }
+
+  return changed;
+}
+
+async function handleReconcile(event) {
+  const { state } = await stateManager.readState();
+  const repos = new Set(Object.keys(state.repositories));
+
+  if (event.repo) {
+    repos.add(event.repo);
+  }
+
+  for (const repo of repos) {
+    console.log(`Reconciling ${repo}`);
+    try {
+      if (repo !== event.repo) {
+        await repoConfig.refresh(repo);
+      }
+
+      const changed = await reconcileRepository(repo, state.repositories[repo]?.pullRequests || {});
+      console.log(`${repo} ${changed ? 'reconciled' : 'already in sync'}`);
+    } catch (error) {
+      // carry on with the other repos, a single inaccessible repo shouldn't block the rest
+      console.error(`Failed to reconcile ${repo}: ${error.message}`);
+    }
+  }
+
+  await repostApprovalList();
+  await sendEscalationReminders();
+}
+
+const digest = {
+  median(values) {
+    if (values.length === 0) {
+      return null;
+    }
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+  },
+
+  formatDuration(ms) {
+    if (ms === null) {
+      return 'n/a';
+    }
+
+    const minutes = Math.round(ms / (60 * 1000));
+    const days = Math.floor(minutes / (24 * 60));
+    const hours = Math.floor((minutes % (24 * 60)) / 60);
+
+    if (days > 0) {
+      return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
+    }
+    return hours > 0 ? `${hours}h` : `${minutes}m`;
+  },
+
+  // flattens tracked and archived PRs into one list, PRs tracked before timelines were recorded are skipped
+  collectRecords(state) {
+    const records = [];
+    const add = (repo, pr, active) => {
+      if (pr.timeline?.openedAt) {
+        records.push({ ...pr, repository: repo, active });
+      }
+    };
+
+    Object.entries(state.repositories || {}).forEach(([repo, data]) => {
+      Object.values(data.pullRequests).forEach(pr => add(repo, pr, true));
+    });
+    Object.entries(state.history || {}).forEach(([repo, prs]) => {
+      Object.values(prs).forEach(pr => add(repo, pr, false));
+    });
+
+    return records;
+  },
+
+  summarise(records, since, now) {
+    const inPeriod = date => date && new Date(date) >= since && new Date(date) <= now;
+    const elapsed = (from, to) => new Date(to) - new Date(from);
+
+    const firstReviewTimes = records
+      .filter(pr => inPeriod(pr.timeline.firstReviewAt))
+      .map(pr => elapsed(pr.timeline.openedAt, pr.timeline.firstReviewAt));
+    const approvalTimes = records
+      .filter(pr => inPeriod(pr.timeline.approvedAt))
+      .map(pr => elapsed(pr.timeline.openedAt, pr.timeline.approvedAt));
+
+    return {
+      opened: records.filter(pr => inPeriod(pr.timeline.openedAt)).length,
+      approved: approvalTimes.length,
+      merged: records.filter(pr => pr.merged && inPeriod(pr.timeline.closedAt)).length,
+      medianFirstReview: this.median(firstReviewTimes),
+      medianApproval: this.median(approvalTimes)
+    };
+  },
+
+  formatSummary(summary) {
+    return `${summary.opened} opened · ${summary.approved} approved · ${summary.merged} merged · ` +
+      `median first review ${this.formatDuration(summary.medianFirstReview)} · median approval ${this.formatDuration(summary.medianApproval)}`;
+  },
+
+  groupBy(records, key) {
+    const groups = new Map();
+
+    records.forEach(pr => {
+      const value = pr[key] || 'unknown';
+      if (!groups.has(value)) {
+        groups.set(value, []);
+      }
+      groups.get(value).push(pr);
+    });
+
+    return Array.from(groups.entries()).sort(([a], [b]) => a.localeCompare(b));
+  },
+
+  build(state, now = new Date()) {
+    const since = new Date(now - ENV.digestPeriodDays * 24 * 60 * 60 * 1000);
+
+    // only PRs still open or with activity in the period are worth reporting on
+    const records = this.collectRecords(state).filter(pr => pr.active ||
+      [pr.timeline.openedAt, pr.timeline.approvedAt, pr.timeline.closedAt].some(date => date && new Date(date) >= since));
+
+    const formatDate = date => date.toISOString().slice(0, 10);
+    const lines = [
+      `*PR review digest* (${formatDate(since)} to ${formatDate(now)})`,
+      `Overall: ${this.formatSummary(this.summarise(records, since, now))}`,
+      '',
+      '*By repository*'
+    ];
+
+    this.groupBy(records, 'repository').forEach(([repo, prs]) => {
+      lines.push(`• ${repo.split('/')[1]}: ${this.formatSummary(this.summarise(prs, since, now))}`);
+    });
+
+    lines.push('', '*By author*');
+    this.groupBy(records, 'author').forEach(([author, prs]) => {
+      lines.push(`• ${author}: ${this.formatSummary(this.summarise(prs, since, now))}`);
+    });
+
+    // the longest waits for approval, counting PRs that are still waiting up to now
+    const slowest = records
+      .filter(pr => pr.timeline.approvedAt ? new Date(pr.timeline.approvedAt) >= since : pr.active)
+      .map(pr => ({ ...pr, wait: new Date(pr.timeline.approvedAt || now) - new Date(pr.timeline.openedAt) }))
+      .sort((a, b) => b.wait - a.wait)
+      .slice(0, 5);
+
+    if (slowest.length > 0) {
+      lines.push('', '*Slowest PRs*');
+      slowest.forEach(pr => {
+        const status = pr.timeline.approvedAt ? 'to approval' : 'and still waiting';
+        lines.push(`• <${pr.url}|${pr.repository.split('/')[1]} PR #${pr.number}> by ${pr.author}: ${this.formatDuration(pr.wait)} ${status}`);
+      });
+    }
+
+    return lines.join('\n');
+  }
+};
+
+async function postDigest() {
+  const { state } = await stateManager.readState();
+  const message = digest.build(state);
+
+  console.log(message);
+  await notifyChannels([ENV.slackChannelId], [], () => message, { type: 'digest' });
+}
+
+async function runDigest() {
+  // the digest only reads state and posts a message, so it can run outside of a GitHub event
+  validateEnvironment(['githubEventPath', 'githubToken']);
+
+  try {
+    await postDigest();
+  } catch (error) {
+    console.error(`Error posting digest:`, error.message);
+    process.exit(1);
+  }
+}
+
+// replay runs the bot against a recorded event with github, slack and state faked in memory, so nothing touches the network
+const replay = {
+  calls: [],
+
+  inferEventName(payload) {
+    const eventNames = [
+      ['schedule', 'schedule'],
+      ['inputs', 'workflow_dispatch'],
+      ['check_run', 'check_run'],
+      ['check_suite', 'check_suite'],
+      ['context', 'status'],
+      ['review', 'pull_request_review']
+    ];
+    const match = eventNames.find(([key]) => payload[key] !== undefined);
+    return match ? match[1] : 'pull_request';
+  },
+
+  // canned github responses come from the --github fixture first, then from the event payload and seeded state
+  createGithub(payload, responses, getState) {
+    const trackedPRs = async repo => Object.values((await getState()).repositories[repo]?.pullRequests || {});
+    const toPR = pr => ({
+      number: pr.number,
+      title: pr.title,
+      user: { login: pr.author },
+      head: { sha: pr.headSha },
+      base: { ref: pr.baseBranch },
+      labels: (pr.labels || []).map(name => ({ name })),
+      draft: !!pr.draft,
+      requested_reviewers: (pr.requestedReviewers || []).map(login => ({ login })),
+      created_at: pr.createdAt
+    });
+    const record = (method, args) => console.log(`[replay] github.${method}(${args.join(', ')})`);
+
+    return {
+      async getReviews(repo, prNumber) {
+        record('getReviews', [repo, prNumber]);
+        // review events carry a lowercase state, the reviews endpoint an uppercase one
+        return responses.reviews?.[prNumber] || (payload.review ? [{ ...payload.review, state: payload.review.state?.toUpperCase() }] : []);
+      },
+
+      async getBranchProtectionReviews(repo, branch) {
+        record('getBranchProtectionReviews', [repo, branch]);
+        return responses.branchProtection?.[branch] || null;
+      },
+
+      async getBranchRules(repo, branch) {
+        record('getBranchRules', [repo, branch]);
+        return responses.branchRules?.[branch] || [];
+      },
+
+      async getPRFiles(repo, prNumber) {
+        record('getPRFiles', [repo, prNumber]);
+        return responses.files?.[prNumber] || [];
+      },
+
+      async getFileContent(repo, filePath, ref) {
+        record('getFileContent', [repo, filePath, ref]);
+        return responses.contents?.[filePath] ?? null;
+      },
+
+      async getTeamMembers(org, teamSlug) {
+        record('getTeamMembers', [org, teamSlug]);
+        return (responses.teams?.[`${org}/${teamSlug}`] || []).map(login => ({ login }));
+      },
+
+      async getPR(repo, prNumber) {
+        record('getPR', [repo, prNumber]);
+        if (responses.pulls?.[prNumber]) {
+          return responses.pulls[prNumber];
+        }
+        if (payload.pull_request?.number === Number(prNumber)) {
+          return payload.pull_request;
+        }
+        const tracked = (await trackedPRs(repo)).find(pr => pr.number === Number(prNumber));
+        return tracked ? toPR(tracked) : { number: Number(prNumber), title: '', user: {}, head: {}, labels: [] };
+      },
+
+      // builds pass by default, record the statuses or check runs in the fixture to replay failures
+      async getCommitStatus(repo, sha) {
+        record('getCommitStatus', [repo, sha]);
+        if (responses.statuses?.[sha]) {
+          return responses.statuses[sha];
+        }
+        const statuses = getCIRequirements(repo).contexts.map(context => ({ context, state: 'success' }));
+        if (payload.context && payload.sha === sha) {
+          const index = statuses.findIndex(status => status.context === payload.context);
+          statuses.splice(index === -1 ? statuses.length : index, 1, { context: payload.context, state: payload.state });
+        }
+        return { state: statuses.every(status => status.state === 'success') ? 'success' : 'failure', statuses };
+      },
+
+      async getCheckRuns(repo, sha) {
+        record('getCheckRuns', [repo, sha]);
+        if (responses.checkRuns?.[sha]) {
+          return responses.checkRuns[sha];
+        }
+        const runs = getCIRequirements(repo).checks.map(name => ({ name, status: 'completed', conclusion: 'success', started_at: '' }));
+        if (payload.check_run?.head_sha === sha) {
+          runs.push({ ...payload.check_run, started_at: payload.check_run.started_at || new Date().toISOString() });
+        }
+        return runs;
+      },
+
+      async getCommitPRs(repo, sha) {
+        record('getCommitPRs', [repo, sha]);
+        return responses.commitPulls?.[sha] || payload.check_run?.pull_requests
+          || (await trackedPRs(repo)).filter(pr => pr.headSha === sha).map(toPR);
+      },
+
+      async getUser(login) {
+        record('getUser', [login]);
+        return responses.users?.[login] || { login };
+      },
+
+      async getOpenPRs(repo) {
+        record('getOpenPRs', [repo]);
+        return responses.openPulls?.[repo] || (await trackedPRs(repo)).map(toPR);
+      }
+    };
+  },
+
+  createSlack() {
+    let nextTs = 1;
+    const record = (method, details) => {
+      this.calls.push({ method, ...details });
+      return `replay.${nextTs++}`;
+    };
+
+    return {
+      async postMessage(channel, text, blocks = null, threadTs = null) {
+        return record('postMessage', { channel, text, blocks, threadTs });
+      },
+      async updateMessage(channel, ts, text, blocks = null) {
+        record('updateMessage', { channel, ts, text, blocks });
+      },
+      async deleteMessage(channel, ts) {
+        record('deleteMessage', { channel, ts });
+      },
+      async lookupUserByEmail(email) {
+        record('lookupUserByEmail', { email });
+        return null;
+      }
+    };
+  },
+
+  // slack is faked at the API level above, the other notifiers by their post, update and delete
+  createNotifier(name) {
+    let nextId = 1;
+    const record = (method, details) => {
+      this.calls.push({ method: `${name}.${method}`, ...details });
+      return `replay.${name}.${nextId++}`;
+    };
+
+    return {
+      async post(target, message, threadId = null) {
+        return record('post', { target, message, threadId });
+      },
+      async update(target, id, message) {
+        record('update', { target, id, message });
+      },
+      async delete(target, id) {
+        record('delete', { target, id });
+      }
+    };
+  },
+
+  diff(before, after, path = '') {
+    if (JSON.stringify(before) === JSON.stringify(after)) {
+      return [];
+    }
+
+    const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+    if (!isObject(before) || !isObject(after)) {
+      if (before === undefined) {
+        return [`+ ${path}: ${JSON.stringify(after)}`];
+      }
+      if (after === undefined) {
+        return [`- ${path}: ${JSON.stringify(before)}`];
+      }
+      return [`~ ${path}: ${JSON.stringify(before)} -> ${JSON.stringify(after)}`];
+    }
+
+    const keys = Array.from(new Set([...Object.keys(before), ...Object.keys(after)]));
+    return keys.flatMap(key => this.diff(before[key], after[key], path ? `${path}.${key}` : key));
+  },
+
+  async run(eventPath, options = {}) {
+    const payload = JSON.parse(fs.readFileSync(eventPath, 'utf8'));
+    const seedState = options.statePath ? JSON.parse(fs.readFileSync(options.statePath, 'utf8')) : createEmptyState();
+    const responses = options.githubPath ? JSON.parse(fs.readFileSync(options.githubPath, 'utf8')) : {};
+
+    // fill in anything the environment doesn't provide, the values are never sent anywhere
+    Object.assign(ENV, {
+      githubEventPath: eventPath,
+      githubEventName: options.eventName || this.inferEventName(payload),
+      githubRepository: ENV.githubRepository || payload.repository?.full_name,
+      githubToken: ENV.githubToken || 'replay',
+      slackBotToken: ENV.slackBotToken || 'replay',
+      slackChannel: ENV.slackChannel || 'replay',
+      slackChannelId: ENV.slackChannelId || 'REPLAY',
+      teamsAppId: ENV.teamsAppId || 'replay',
+      teamsAppPassword: ENV.teamsAppPassword || 'replay',
+      teamsTenantId: ENV.teamsTenantId || 'replay',
+      teamsConversations: ENV.teamsConversations || '{"default":"REPLAY"}',
+      webhookUrl: ENV.webhookUrl || 'https://replay.invalid/webhook',
+      requiredApprovals: ENV.requiredApprovals || '2',
+      titleMaxLength: ENV.titleMaxLength || '60',
+      dataStateFilePath: ENV.dataStateFilePath || 'replay/state.json',
+      stateBackend: 'memory'
+    });
+
+    stateBackends.memory.seed(seedState);
+    stateManager.setBackend(stateBackends.memory);
+    Object.assign(github, this.createGithub(payload, responses, async () => (await stateManager.readState()).state));
+    Object.assign(slack, this.createSlack());
+    Object.assign(notifiers.teams, this.createNotifier('teams'));
+    Object.assign(notifiers.webhook, this.createNotifier('webhook'));
+
+    // diff against the seed as the bot sees it, so schema migrations of an old state file don't show up as changes
+    const { state: initialState } = await stateManager.readState();
+    await run();
+
+    const { state: finalState } = await stateManager.readState();
+    return {
+      slackCalls: this.calls,
+      stateDiff: this.diff(initialState, finalState),
+      state: finalState
+    };
+  }
+};
+
+async function runReplay(args) {
+  const [eventPath, ...rest] = args;
+  const options = {};
+  const flags = { '--state': 'statePath', '--github': 'githubPath', '--event-name': 'eventName' };
+
+  for (let i = 0; i < rest.length; i += 2) {
+    if (!flags[rest[i]]) {
+      console.error(`Unknown replay option: ${rest[i]}`);
+      process.exit(1);
+    }
+    options[flags[rest[i]]] = rest[i + 1];
+  }
+
+  if (!eventPath) {
+    console.error('Usage: pr-bot replay <event.json> [--state <state.json>] [--github <responses.json>] [--event-name <name>]');
+    process.exit(1);
+  }
+
+  try {
+    const { slackCalls, stateDiff } = await replay.run(eventPath, options);
+
+    console.log('\n=== Notifier calls ===');
+    if (slackCalls.length === 0) {
+      console.log('(none)');
+    }
+    slackCalls.forEach(({ method, blocks, ...details }) => {
+      // the plain text carries the same content, the block count is enough to see blocks were sent
+      const summary = blocks ? { ...details, blocks: `${blocks.length} blocks` } : details;
+
+      if (details.message?.attachments) {
+        summary.message = { ...details.message, attachments: `${details.message.attachments.length} card(s)` };
+      }
+      console.log(`${method} ${JSON.stringify(summary, null, 2)}`);
+    });
+
+    console.log('\n=== State diff ===');
+    console.log(stateDiff.length > 0 ? stateDiff.join('\n') : '(no changes)');
+  } catch (error) {
+    console.error(`Error replaying event:`, error.message);
+    process.exit(1);
+  }
+}
+
+// admin commands for the state store, run as `pr-bot state <command>` outside of a GitHub event.
+// changes go through stateManager and repostApprovalList, so they are as conflict safe as the bot's own updates
+const stateCli = {
+  usage: [
+    'Usage: pr-bot state <command>',
+    '  validate                              check the state files against the schema',
+    '  list [--repo <owner/repo>] [--json]   show tracked PRs',
+    '  remove <owner/repo> <number>          stop tracking a PR',
+    '  refresh <owner/repo> <number>         update a PR from GitHub',
+    '  clear-message [--channel <id>] [--notifier <name>] [--hash-only]',
+    '                                        forget the approval list messages, or only their hashes',
+    '  repost                                post the approval list in every channel again'
+  ].join('\n'),
+
+  // the GitHub and Slack settings, which commands that only touch the state store can do without
+  serviceEnvironment: [
+    'requiredApprovals', 'titleMaxLength', 'slackBotToken', 'slackChannel', 'slackChannelId', 'githubToken',
+    ...Object.values(notifiers).flatMap(notifier => notifier.requiredEnvironment)
+  ],
+  offlineCommands: ['validate', 'list', 'remove', 'clear-message'],
+  valueOptions: ['repo', 'channel', 'notifier'],
+
+  parseArgs(args) {
+    const positional = [];
+    const options = {};
+
+    for (let i = 0; i < args.length; i++) {
+      if (!args[i].startsWith('--')) {
+        positional.push(args[i]);
+      } else if (this.valueOptions.includes(args[i].slice(2))) {
+        options[args[i].slice(2)] = args[++i];
+      } else {
+        options[args[i].slice(2)] = true;
+      }
+    }
+
+    return { positional, options };
+  },
+
+  parsePRArgs(args) {
+    const [repo, number] = this.parseArgs(args).positional;
+    const prNumber = Number(number);
+
+    if (!/^[^/]+\/[^/]+$/.test(repo || '') || !Number.isInteger(prNumber) || prNumber < 1) {
+      throw new Error('expected <owner/repo> <number>');
+    }
+    return { repo, prNumber };
+  },
+
+  async getTrackedPR(repo, prNumber) {
+    const { state } = await stateManager.readState();
+    return state.repositories[repo]?.pullRequests[prNumber];
+  },
+
+  formatTable(rows) {
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => String(row[column]).length)));
+    return rows.map(row => row.map((cell, column) => String(cell).padEnd(widths[column])).join('  ').trimEnd()).join('\n');
+  },
+
+  async list(args) {
+    const { options } = this.parseArgs(args);
+    const { state } = await stateManager.readState();
+
+    const prs = Object.entries(state.repositories)
+      .filter(([repo]) => !options.repo || repo === options.repo)
+      .flatMap(([repo, data]) => Object.values(data.pullRequests).map(pr => ({ repository: repo, ...pr })))
+      .sort((a, b) => a.repository.localeCompare(b.repository) || a.number - b.number);
+
+    if (options.json) {
+      console.log(JSON.stringify(prs, null, 2));
+      return true;
+    }
+
+    if (prs.length === 0) {
+      console.log('No tracked PRs');
+      return true;
+    }
+
+    const rows = prs.map(pr => [
+      pr.repository,
+      `#${pr.number}`,
+      pr.author,
+      `${pr.approvals}/${pr.requiredApprovals ?? ENV.requiredApprovals ?? '?'}`,
+      pr.buildSuccess ? 'pass' : 'fail',
+      pr.draft ? 'yes' : 'no',
+      pr.stage === 'readyToMerge' ? `ready${pr.blockedBy?.length ? ` (blocked: ${pr.blockedBy.join(', ')})` : ''}` : 'review',
+      formatAge(pr.createdAt),
+      pr.title
+    ]);
+    console.log(this.formatTable([['REPOSITORY', 'PR', 'AUTHOR', 'APPROVALS', 'BUILD', 'DRAFT', 'STAGE', 'AGE', 'TITLE'], ...rows]));
+    const messages = Object.entries(state.metadata.approvalLists)
+      .flatMap(([channel, lists]) => Object.entries(lists).map(([notifier, message]) => `${channel} ${notifier} ${message.id}`));
+    console.log(`\nApproval list messages: ${messages.length > 0 ? messages.join(', ') : 'none'}`);
+    return true;
+  },
+
+  async remove(args) {
+    const { repo, prNumber } = this.parsePRArgs(args);
+
+    if (!await this.getTrackedPR(repo, prNumber)) {
+      console.error(`${repo} PR #${prNumber} is not tracked`);
+      return false;
+    }
+
+    await stateManager.removePR(repo, prNumber);
+    console.log(`Removed ${repo} PR #${prNumber}, run "pr-bot state repost" to update the approval list`);
+    return true;
+  },
+
+  // the same checks reconciliation makes, for a single PR and regardless of whether it looks out of date
+  async refresh(args) {
+    const { repo, prNumber } = this.parsePRArgs(args);
+    const trackedPR = await this.getTrackedPR(repo, prNumber);
+    const pr = await github.getPR(repo, prNumber);
+
+    if (pr.state && pr.state !== 'open') {
+      if (trackedPR) {
+        console.log(`${repo} PR #${prNumber} is ${pr.merged_at ? 'merged' : 'closed'}, moving to history`);
+        await archiveClosedPR(repo, prNumber, pr);
+      } else {
+        console.log(`${repo} PR #${prNumber} is ${pr.merged_at ? 'merged' : 'closed'} and not tracked, nothing to do`);
+      }
+      return true;
+    }
+
+    const changed = await reconcilePR(repo, pr, trackedPR, true);
+    console.log(changed
+      ? `Refreshed ${repo} PR #${prNumber}, run "pr-bot state repost" to update the approval list`
+      : `${repo} PR #${prNumber} is approved or ignored, nothing to track`);
+    return true;
+  },
+
+  // the recorded approval list messages as [channel, notifier, message], optionally only one channel's or notifier's
+  async getApprovalListMessages(options = {}) {
+    const { state } = await stateManager.readState();
+
+    return Object.entries(state.metadata.approvalLists)
+      .filter(([channel]) => !options.channel || channel === options.channel)
+      .flatMap(([channel, lists]) => Object.entries(lists).map(([notifier, message]) => [channel, notifier, message]))
+      .filter(([, notifier]) => !options.notifier || notifier === options.notifier);
+  },
+
+  // forgetting the id leaves the old message in place but stops the bot trying to delete it, for when it was removed by hand.
+  // forgetting only the hash makes the next update repost the list even if it hasn't changed
+  async 'clear-message'(args) {
+    const { options } = this.parseArgs(args);
+    const messages = await this.getApprovalListMessages(options);
+
+    if (messages.length === 0) {
+      console.error('No matching approval list messages recorded');
+      return false;
+    }
+
+    for (const [channel, notifier, message] of messages) {
+      await stateManager.updateApprovalList(channel, notifier, options['hash-only'] ? { ...message, hash: null } : null);
+      console.log(`Cleared the ${notifier} approval list ${options['hash-only'] ? 'hash' : 'message'} for ${channel}`);
+    }
+    return true;
+  },
+
+  async repost() {
+    for (const [channel, notifier, message] of await this.getApprovalListMessages()) {
+      await stateManager.updateApprovalList(channel, notifier, { ...message, hash: null });
+    }
+    await repostApprovalList();
+    console.log('Approval list reposted');
+    return true;
+  },
+
+  // checks every state document against the schema without migrating or writing anything
+  async validate() {
+    const backend = stateManager.getBackend();
+    const metadataPath = stateManager.getMetadataPath();
+    const results = [];
+
+    const check = async (filePath, kind, getDoc = async () => (await backend.read(filePath)).doc) => {
+      const result = { filePath, errors: [], migrations: [] };
+      results.push(result);
+
+      try {
+        const doc = await getDoc();
+
+        if (!doc) {
+          result.missing = true;
+          return;
+        }
+
+        result.version = doc.schemaVersion || 0;
+        result.migrations = migrateStateDocument(kind, doc);
+        result.errors = validateStateDocument(kind, doc);
+
+        if (kind === 'repository' && doc.repository && stateManager.getRepositoryPath(doc.repository) !== filePath) {
+          result.errors.push(`$.repository: ${doc.repository} belongs in ${stateManager.getRepositoryPath(doc.repository)}`);
+        }
+      } catch (error) {
+        result.errors.push(error.message);
+      }
+    };
+
+    await check(metadataPath, 'metadata');
+
+    // not migrated yet, so check the documents the migration would write
+    if (results[0].missing) {
+      const { doc: legacyState } = await backend.read(ENV.dataStateFilePath);
+
+      if (legacyState) {
+        console.log(`${ENV.dataStateFilePath} will be migrated to ${stateManager.getStateDir()} on the next run`);
+        const repos = new Set([...Object.keys(legacyState.repositories || {}), ...Object.keys(legacyState.history || {})]);
+
+        results.pop();
+        await check(metadataPath, 'metadata', async () => legacyState.metadata || {});
+
+        for (const repo of repos) {
+          await check(stateManager.getRepositoryPath(repo), 'repository', async () => ({
+            repository: repo,
+            pullRequests: legacyState.repositories?.[repo]?.pullRequests || {},
+            history: legacyState.history?.[repo] || {}
+          }));
+        }
+      }
+    }
+
+    for (const filePath of await backend.list(stateManager.getRepositoriesDir())) {
+      if (!results.some(result => result.filePath === filePath)) {
+        await check(filePath, 'repository');
+      }
+    }
+
+    results.forEach(({ filePath, missing, version, migrations, errors }) => {
+      if (missing) {
+        console.log(`${filePath}: not found, it will be created on the next run`);
+        return;
+      }
+
+      const upgrade = migrations.length > 0 ? `, will be migrated from schema version ${version} to ${STATE_SCHEMA_VERSION}` : '';
+      console.log(`${filePath}: ${errors.length > 0 ? `${errors.length} problem(s)` : 'ok'}${upgrade}`);
+      errors.forEach(error => console.log(`  ${error}`));
+    });
+
+    return results.every(result => result.errors.length === 0);
+  }
+};
+
+async function runStateCommand(args) {
+  const [command] = args;
+  const commands = ['validate', 'list', 'remove', 'refresh', 'clear-message', 'repost'];
+
+  if (!commands.includes(command)) {
+    console.error(stateCli.usage);
+    process.exit(1);
+  }
+
+  // there's no event to handle, and commands that only touch the state store don't need GitHub or Slack either
+  validateEnvironment(['githubEventPath', ...(stateCli.offlineCommands.includes(command) ? stateCli.serviceEnvironment : [])]);
+
+  try {
+    const ok = await stateCli[command](args.slice(1));
+    process.exit(ok ? 0 : 1);
+  } catch (error) {
+    console.error(`Error running state ${command}:`, error.message);
+    process.exit(1);
+  }
+}
+
+async function run() {
+  validateEnvironment();
+  const event = loadEventData();
+
+  if (!event.repo) {
+    console.error('Error with repo data');
+    return;
+  }
+
+  if (event.eventType === 'ignored') {
+    console.log(`No workflow required: ${event.reason}`);
+    return;
+  }
+
+  if (event.eventType === 'digest') {
+    try {
+      await postDigest();
+    } catch (error) {
+      console.error(`Error posting digest:`, error.message);
+      process.exit(1);
+    }
+    return;
+  }
+
+  // the event repository's own settings apply to everything from here on
+  await repoConfig.refresh(event.repo);
+
+  if (event.eventType === 'reconcile') {
+    try {
+      await handleReconcile(event);
+    } catch (error) {
+      console.error(`Error processing reconcile event:`, error.message);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (event.eventType === 'status') {
+    try {
+      await handleStatus(event);
+    } catch (error) {
+      console.error(`Error processing status event:`, error.message);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (!event.prNumber) {
+    console.error('Error with PR data');
+    return;
+  }
+
+  try {
+    switch (event.action) {
+      case 'opened':
+      case 'reopened':
+        await handlePROpened(event);
+        break;
+      case 'submitted':
+      case 'dismissed':
+        await handlePRReview(event);
+        break;
+      case 'closed':
+        await handlePRClosed(event);
+        break;
+      case 'labeled':
+        await handlePRLabeled(event);
+        break;
+      case 'unlabeled':
+        await handlePRUnlabeled(event);
+        break;
+      case 'synchronize':
+        await handlePRSynchronize(event);
+        break;
+      case 'edited':
+        await handlePREdited(event);
+        break;
+      case 'converted_to_draft':
+        await handlePRConvertedToDraft(event);
+        break;
+      case 'ready_for_review':
+        await handlePRReadyForReview(event);
+        break;
+      case 'review_requested':
+      case 'review_request_removed':
+        await handlePRReviewRequested(event);
+        break;
+      default:
+        console.log(`No workflow required for event: ${event.action}`);
+    }
+  } catch (error) {
+    console.error(`Error processing ${event.action} event:`, error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  CONFIG,
+  ENV,
+  validateEnvironment,
+  sleep,
+  generateMessageHash,
+  getCIRequirements,
+  loadEventData,
+  buildRequestUrl,
+  nodeTransport,
+  setHttpTransport,
+  getRetryDelay,
+  httpRequest,
+  parseLinkHeader,
+  httpRequestAllPages,
+  summariseReviews,
+  approvalRules,
+  codeOwners,
+  parseYaml,
+  repoConfig,
+  getIgnoreReason,
+  getLabelNames,
+  routing,
+  jira,
+  priority,
+  getApprovalOwners,
+  getReviewSummary,
+  github,
+  slack,
+  slackUsers,
+  notifiers,
+  getActiveNotifiers,
+  notifyChannels,
+  activityLog,
+  stateBackends,
+  stateManager,
+  createEmptyState,
+  mergeTimeline,
+  STATE_SCHEMA_VERSION,
+  STATE_MIGRATIONS,
+  validateSchema,
+  LEGACY_APPROVAL_LIST_CHANNEL,
+  migrateStateDocument,
+  validateStateDocument,
+  escalation,
+  sendEscalationReminders,
+  repostApprovalList,
+  postApprovalList,
+  postNotifierApprovalList,
+  getBuildState,
+  getBuildStatus,
+  getPRUrl,
+  escapeMrkdwn,
+  truncateTitle,
+  templates,
+  getTemplateValues,
+  getListTemplateValues,
+  formatPRMessage,
+  getPendingReviewers,
+  formatAge,
+  groupByRepository,
+  getJiraKeys,
+  groupApprovalList,
+  describeListedPR,
+  summariseApprovalList,
+  buildApprovalListBlocks,
+  buildTemplatedListBlocks,
+  buildApprovalListCard,
+  createPRStateUpdate,
+  fetchPRDataAndCreateState,
+  toReadyToMerge,
+  getMergeBlockers,
+  describeMergeBlockers,
+  checkReadyToMerge,
+  handlePROpened,
+  getReviewTimeline,
+  handlePRReview,
+  handlePRChangesRequested,
+  handlePRClosed,
+  handleLabelChange,
+  handlePRLabeled,
+  handlePRUnlabeled,
+  handlePRSynchronize,
+  recheckReadyToMerge,
+  handlePREdited,
+  handlePRConvertedToDraft,
+  handlePRReadyForReview,
+  handlePRReviewRequested,
+  handleStatus,
+  archiveClosedPR,
+  reconcilePR,
+  reconcileRepository,
+  handleReconcile,
+  digest,
+  postDigest,
+  runDigest,
+  replay,
+  runReplay,
+  stateCli,
+  runStateCommand,
+  run
+}
+
+if (require.main === module) {
+  if (process.argv[2] === 'digest') {
+    runDigest();
+  } else if (process.argv[2] === 'replay') {
+    runReplay(process.argv.slice(3));
+  } else if (process.argv[2] === 'state') {
+    runStateCommand(process.argv.slice(3));
+  } else {
+    run();
+  }
+}
\ No newline at end of file